@@ -0,0 +1,1860 @@
+/**
+ * TBT Crypto Monthly Performance - Analytics
+ * Pure data transforms and statistics shared by the dashboard and Node scripts.
+ * No DOM or Chart.js access in here.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TBTAnalytics = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  // Quarter -> month numbers (1-12)
+  const QUARTERS = {
+    q1: [1, 2, 3],
+    q2: [4, 5, 6],
+    q3: [7, 8, 9],
+    q4: [10, 11, 12]
+  };
+
+  // ---------- Basic helpers ----------
+
+  function isPresent(value) {
+    return value !== null && value !== undefined;
+  }
+
+  // Non-null object (data file entries are skipped otherwise)
+  function isRecord(value) {
+    return value !== null && typeof value === 'object';
+  }
+
+  // Year or volatility entry of data.json with a usable `year`
+  function isYearEntry(value) {
+    return isRecord(value) && Number.isInteger(value.year);
+  }
+
+  function round2(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // 1 -> '1st', 12 -> '12th', 23 -> '23rd'
+  function ordinal(n) {
+    const tens = n % 100;
+    if (tens >= 11 && tens <= 13) return `${n}th`;
+    return n + ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  }
+
+  function mean(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  }
+
+  function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  }
+
+  // Population standard deviation
+  function stdDev(values) {
+    if (values.length === 0) return 0;
+    const avg = mean(values);
+    return Math.sqrt(mean(values.map(v => Math.pow(v - avg, 2))));
+  }
+
+  // p-th percentile (0-100) with linear interpolation; null when empty
+  function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * p / 100;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  // Deterministic [0, 1) generator (mulberry32) so simulations are repeatable
+  function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Compound a list of % returns into a single % return (null when empty)
+  function compound(returns) {
+    if (returns.length === 0) return null;
+    let total = 1;
+    returns.forEach(r => { total *= (1 + r / 100); });
+    return (total - 1) * 100;
+  }
+
+  // Mean after dropping trimPercent% of the values from each end
+  function trimmedMean(values, trimPercent) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const k = Math.floor(sorted.length * trimPercent / 100);
+    if (2 * k >= sorted.length) return median(sorted);
+    return mean(sorted.slice(k, sorted.length - k));
+  }
+
+  // Mean after clamping trimPercent% of the values at each end to the nearest kept value
+  function winsorizedMean(values, trimPercent) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const k = Math.floor(sorted.length * trimPercent / 100);
+    if (2 * k >= sorted.length) return median(sorted);
+    const low = sorted[k];
+    const high = sorted[sorted.length - 1 - k];
+    return mean(sorted.map(v => Math.min(high, Math.max(low, v))));
+  }
+
+  // Per-period compounded growth rate of % returns; a -100% month wipes out the series
+  function geometricMean(returns) {
+    if (returns.length === 0) return 0;
+    let logSum = 0;
+    for (const r of returns) {
+      if (r <= -100) return -100;
+      logSum += Math.log(1 + r / 100);
+    }
+    return (Math.exp(logSum / returns.length) - 1) * 100;
+  }
+
+  // Central-tendency estimators offered by the statistic selector
+  const ESTIMATORS = {
+    mean: { label: 'Average', short: 'Avg' },
+    median: { label: 'Median', short: 'Med' },
+    trimmed: { label: 'Trimmed mean', short: 'Trim', usesTrim: true },
+    winsorized: { label: 'Winsorized mean', short: 'Wins', usesTrim: true },
+    geometric: { label: 'Geometric mean', short: 'Geo' }
+  };
+
+  function estimate(values, estimator, trimPercent) {
+    switch (estimator) {
+      case 'median': return median(values);
+      case 'trimmed': return trimmedMean(values, trimPercent);
+      case 'winsorized': return winsorizedMean(values, trimPercent);
+      case 'geometric': return geometricMean(values);
+      default: return mean(values);
+    }
+  }
+
+  // Human-readable estimator name, e.g. "Trimmed mean (10%)"
+  function estimatorLabel(estimator, trimPercent) {
+    const info = ESTIMATORS[estimator] || ESTIMATORS.mean;
+    return info.usesTrim ? `${info.label} (${trimPercent}%)` : info.label;
+  }
+
+  // Values of a year map ({ 1: x, ..., 12: y }) for the given months, skipping gaps
+  function monthValues(yearData, months) {
+    if (!yearData) return [];
+    return months.map(m => yearData[m]).filter(isPresent);
+  }
+
+  // ---------- Model building ----------
+
+  // Array of 12 values -> { 1: v, ..., 12: v }; anything that isn't a number becomes null
+  function toMonthMap(values) {
+    const map = {};
+    values.slice(0, 12).forEach((val, idx) => {
+      map[idx + 1] = typeof val === 'number' && isFinite(val) ? val : null;
+    });
+    return map;
+  }
+
+  // Per-month average/median/win rate/volatility across all years
+  function computeMonthStatistics(yearData, volatilityData) {
+    const statistics = {};
+    for (let m = 1; m <= 12; m++) {
+      const values = Object.values(yearData).map(y => y[m]).filter(isPresent);
+      const wins = values.filter(v => v > 0).length;
+      const volValues = Object.values(volatilityData || {}).map(y => y[m]).filter(isPresent);
+
+      statistics[m] = {
+        average: round2(mean(values)),
+        median: round2(median(values)),
+        win_rate: values.length > 0 ? Math.round((wins / values.length) * 100) : 0,
+        volatility: round2(mean(volValues.map(Math.abs))),
+        stdDev: round2(stdDev(values)),
+        count: values.length
+      };
+    }
+    return statistics;
+  }
+
+  // Normalize one entry of data.json's `assets` array
+  function normalizeAsset(asset) {
+    const yearData = {};
+    const volatilityData = {};
+    const greenRedData = {};
+
+    // Keep the first occurrence of each year that has returns data
+    const seenYears = new Set();
+    asset.years.forEach(y => {
+      if (isYearEntry(y) && !seenYears.has(y.year) && Array.isArray(y.returns) && isPresent(y.green)) {
+        seenYears.add(y.year);
+        yearData[y.year] = toMonthMap(y.returns);
+        greenRedData[y.year] = { green: y.green, red: y.red };
+      }
+    });
+
+    if (Array.isArray(asset.volatility)) {
+      const seenVolYears = new Set();
+      asset.volatility.forEach(v => {
+        if (isYearEntry(v) && !seenVolYears.has(v.year) && Array.isArray(v.volatility)) {
+          seenVolYears.add(v.year);
+          volatilityData[v.year] = toMonthMap(v.volatility);
+        }
+      });
+    }
+
+    return {
+      name: asset.asset,
+      data: yearData,
+      volatilityData: volatilityData,
+      greenRedData: greenRedData,
+      statistics: computeMonthStatistics(yearData, volatilityData),
+      average: asset.average || [],
+      median: asset.median || []
+    };
+  }
+
+  // Raw data.json -> { assets: { KEY: model }, months }
+  function buildModel(rawData) {
+    const model = {
+      assets: {},
+      months: [...MONTHS]
+    };
+    rawData.assets.forEach(asset => {
+      // Unusable entries are reported by validateRawData
+      if (!asset || typeof asset.asset !== 'string' || !Array.isArray(asset.years)) return;
+      if (model.assets[asset.asset]) return;
+      model.assets[asset.asset] = normalizeAsset(asset);
+    });
+    return model;
+  }
+
+  function getAvailableYears(assetModel) {
+    return Object.keys(assetModel.data)
+      .map(Number)
+      .sort((a, b) => a - b);
+  }
+
+  // Restrict an asset model to years within [fromYear, toYear] (null = open ended).
+  // Statistics and summary rows are recomputed from the remaining years.
+  function filterYears(assetModel, fromYear, toYear) {
+    return restrictYears(assetModel, year =>
+      (fromYear === null || fromYear === undefined || year >= fromYear) &&
+      (toYear === null || toYear === undefined || year <= toYear));
+  }
+
+  // Restrict an asset model to the listed years (e.g. one cycle phase)
+  function selectYears(assetModel, years) {
+    return restrictYears(assetModel, year => years.includes(year));
+  }
+
+  function restrictYears(assetModel, keep) {
+    const years = getAvailableYears(assetModel);
+    if (years.every(keep)) return assetModel;
+
+    const pick = source => {
+      const picked = {};
+      Object.keys(source).map(Number).filter(keep).forEach(y => { picked[y] = source[y]; });
+      return picked;
+    };
+    const yearData = pick(assetModel.data);
+    const volatilityData = pick(assetModel.volatilityData);
+    const statistics = computeMonthStatistics(yearData, volatilityData);
+
+    return Object.assign({}, assetModel, {
+      data: yearData,
+      volatilityData: volatilityData,
+      greenRedData: pick(assetModel.greenRedData),
+      statistics: statistics,
+      average: summaryRow(statistics, 'average'),
+      median: summaryRow(statistics, 'median')
+    });
+  }
+
+  // 12-entry summary row (heatmap Avg/Med) from per-month statistics
+  function summaryRow(statistics, field) {
+    return MONTHS.map((_, idx) => statistics[idx + 1].count > 0 ? statistics[idx + 1][field] : null);
+  }
+
+  // Returns of assetA measured in units of assetB: (1 + rA) / (1 + rB) - 1.
+  // Only months where both assets have a return are kept; there is no volatility data.
+  function denominate(assetA, assetB) {
+    const yearData = {};
+    const greenRedData = {};
+
+    getAvailableYears(assetA).forEach(year => {
+      const a = assetA.data[year];
+      const b = assetB.data[year];
+      if (!b) return;
+
+      const row = {};
+      let green = 0, red = 0, count = 0;
+      for (let m = 1; m <= 12; m++) {
+        if (isPresent(a[m]) && isPresent(b[m]) && b[m] > -100) {
+          row[m] = ((1 + a[m] / 100) / (1 + b[m] / 100) - 1) * 100;
+          count++;
+          if (row[m] > 0) green++;
+          else if (row[m] < 0) red++;
+        } else {
+          row[m] = null;
+        }
+      }
+      if (count === 0) return;
+      yearData[year] = row;
+      greenRedData[year] = { green: green, red: red };
+    });
+
+    const statistics = computeMonthStatistics(yearData, {});
+    return {
+      name: `${assetA.name}/${assetB.name}`,
+      data: yearData,
+      volatilityData: {},
+      greenRedData: greenRedData,
+      statistics: statistics,
+      average: summaryRow(statistics, 'average'),
+      median: summaryRow(statistics, 'median')
+    };
+  }
+
+  // Years present in every given asset, ascending
+  function commonYears(assetModels) {
+    if (assetModels.length === 0) return [];
+    const [first, ...rest] = assetModels.map(getAvailableYears);
+    return first.filter(y => rest.every(years => years.includes(y)));
+  }
+
+  // ---------- Dashboard statistics ----------
+
+  // Streaks of same-colored months (>= minLength), oldest first
+  function findStreaks(assetModel, minLength) {
+    const streaks = [];
+    let length = 0;
+    let lastType = null;
+    getAvailableYears(assetModel).forEach(year => {
+      const yearData = assetModel.data[year];
+      for (let m = 1; m <= 12; m++) {
+        const val = yearData[m];
+        if (!isPresent(val)) continue;
+        const type = val >= 0 ? 'green' : 'red';
+        if (type === lastType || lastType === null) {
+          length++;
+        } else {
+          if (length >= minLength) streaks.push({ type: lastType, length: length });
+          length = 1;
+        }
+        lastType = type;
+      }
+    });
+    if (length >= minLength) streaks.push({ type: lastType, length: length });
+    return streaks;
+  }
+
+  // Length and color of the streak ending at the most recent month with data
+  function currentStreak(assetModel) {
+    const years = getAvailableYears(assetModel);
+    let type = '';
+    let length = 0;
+
+    const lastYearData = assetModel.data[years[years.length - 1]] || {};
+    for (let m = 12; m >= 1; m--) {
+      if (isPresent(lastYearData[m])) {
+        type = lastYearData[m] >= 0 ? 'green' : 'red';
+        break;
+      }
+    }
+
+    outer: for (let y = years.length - 1; y >= 0; y--) {
+      const yearData = assetModel.data[years[y]];
+      for (let m = 12; m >= 1; m--) {
+        const val = yearData[m];
+        if (!isPresent(val)) continue;
+        const isGreen = val >= 0;
+        if ((type === 'green' && isGreen) || (type === 'red' && !isGreen)) {
+          length++;
+        } else {
+          break outer;
+        }
+      }
+    }
+
+    return { type: type, length: length };
+  }
+
+  // Best and worst month of a single year
+  function yearExtremes(yearData) {
+    const best = { value: -Infinity, month: null };
+    const worst = { value: Infinity, month: null };
+    for (let m = 1; m <= 12; m++) {
+      const val = yearData ? yearData[m] : null;
+      if (!isPresent(val)) continue;
+      if (val > best.value) Object.assign(best, { value: val, month: m });
+      if (val < worst.value) Object.assign(worst, { value: val, month: m });
+    }
+    return { best: best, worst: worst };
+  }
+
+  // Everything the Key Statistics card shows; `typicalReturn` uses the chosen estimator
+  function computeKeyStatistics(assetModel, estimator, trimPercent) {
+    const years = getAvailableYears(assetModel);
+    const allValues = [];
+    let totalGreen = 0, totalRed = 0;
+    let best = { value: -Infinity, year: null, month: null };
+    let worst = { value: Infinity, year: null, month: null };
+    const annualReturns = [];
+
+    years.forEach(year => {
+      const yearData = assetModel.data[year];
+      const yearValues = [];
+      for (let m = 1; m <= 12; m++) {
+        const val = yearData[m];
+        if (!isPresent(val)) continue;
+        allValues.push(val);
+        yearValues.push(val);
+        if (val > 0) totalGreen++;
+        else if (val < 0) totalRed++;
+        if (val > best.value) best = { value: val, year: year, month: m };
+        if (val < worst.value) worst = { value: val, year: year, month: m };
+      }
+      // Only count years with sufficient data
+      if (yearValues.length >= 6) annualReturns.push(compound(yearValues));
+    });
+
+    const streak = currentStreak(assetModel);
+    const sameTypeStreaks = findStreaks(assetModel, 3)
+      .filter(s => s.type === streak.type)
+      .map(s => s.length);
+
+    const prevYear = years[years.length - 2] || years[years.length - 1];
+    const prevExtremes = yearExtremes(assetModel.data[prevYear]);
+
+    return {
+      averageReturn: mean(allValues),
+      medianReturn: median(allValues),
+      typicalReturn: estimate(allValues, estimator, trimPercent),
+      winRate: totalGreen + totalRed > 0 ? (totalGreen / (totalGreen + totalRed) * 100) : 0,
+      totalGreen: totalGreen,
+      totalRed: totalRed,
+      bestMonth: best,
+      worstMonth: worst,
+      averageAnnualReturn: mean(annualReturns),
+      currentStreak: streak.length,
+      streakType: streak.type,
+      // Default to 3 if no qualifying streaks
+      medianStreak: sameTypeStreaks.length > 0 ? median(sameTypeStreaks) : 3,
+      prevYear: prevYear,
+      prevBest: prevExtremes.best,
+      prevWorst: prevExtremes.worst
+    };
+  }
+
+  // One estimate per calendar month across all years (null for months without data)
+  function monthEstimates(assetModel, estimator, trimPercent) {
+    const years = getAvailableYears(assetModel);
+    const values = [];
+    for (let m = 1; m <= 12; m++) {
+      const monthReturns = years.map(y => assetModel.data[y][m]).filter(isPresent);
+      values.push(monthReturns.length > 0 ? estimate(monthReturns, estimator, trimPercent) : null);
+    }
+    return values;
+  }
+
+  // Best/worst (by the chosen estimator), most volatile and highest win-rate months
+  function computeInsights(assetModel, estimator, trimPercent) {
+    const statistics = assetModel.statistics;
+    const estimates = monthEstimates(assetModel, estimator, trimPercent);
+    let best = { month: 1, value: -Infinity };
+    let worst = { month: 1, value: Infinity };
+    let mostVolatile = { month: 1, stdDev: 0 };
+    let highestWinRate = { month: 1, rate: 0, count: 0 };
+
+    for (let m = 1; m <= 12; m++) {
+      const stat = statistics[m];
+      const value = estimates[m - 1];
+      if (!stat || value === null) continue;
+      if (value > best.value) best = { month: m, value: value };
+      if (value < worst.value) worst = { month: m, value: value };
+      if (stat.stdDev > mostVolatile.stdDev) mostVolatile = { month: m, stdDev: stat.stdDev };
+      if (stat.win_rate > highestWinRate.rate) {
+        highestWinRate = { month: m, rate: stat.win_rate, count: stat.count };
+      }
+    }
+
+    return { best, worst, mostVolatile, highestWinRate };
+  }
+
+  // Compounded calendar-year return for every year with all 12 months
+  function completeYearReturns(assetModel) {
+    const returns = {};
+    getAvailableYears(assetModel).forEach(year => {
+      const values = monthValues(assetModel.data[year], MONTHS.map((_, idx) => idx + 1));
+      if (values.length === 12) returns[year] = compound(values);
+    });
+    return returns;
+  }
+
+  // Summary rows per cycle phase: the estimator per month and over complete-year returns.
+  // phaseYears: { phase: [years] }
+  function phaseSummaries(assetModel, phaseYears, estimator, trimPercent) {
+    const annual = completeYearReturns(assetModel);
+    const summaries = {};
+    Object.keys(phaseYears).forEach(phase => {
+      const model = selectYears(assetModel, phaseYears[phase]);
+      const years = getAvailableYears(model);
+      const annualValues = years.filter(y => annual[y] !== undefined).map(y => annual[y]);
+      summaries[phase] = {
+        years: years,
+        months: years.length > 0 ? monthEstimates(model, estimator, trimPercent) : MONTHS.map(() => null),
+        annual: annualValues.length > 0 ? estimate(annualValues, estimator, trimPercent) : null,
+        annualCount: annualValues.length
+      };
+    });
+    return summaries;
+  }
+
+  // ---------- Heatmap color scale ----------
+
+  // Auto saturation bounds: the tail-th and (100 - tail)-th percentiles, rounded and kept at
+  // least 1 away from 0 so both sides of the scale exist; null when there are no values
+  function colorScaleBounds(values, tail) {
+    const present = values.filter(isPresent);
+    if (present.length === 0) return null;
+    const cut = tail === undefined ? 5 : tail;
+    return {
+      min: Math.min(-1, Math.round(percentile(present, cut))),
+      max: Math.max(1, Math.round(percentile(present, 100 - cut)))
+    };
+  }
+
+  // Where a value sits on a diverging scale: -1 at or below bounds.min, 0 at 0, 1 at or above bounds.max
+  function scalePosition(value, bounds) {
+    return value < 0 ? -Math.min(1, value / bounds.min) : Math.min(1, value / bounds.max);
+  }
+
+  // ---------- Confidence intervals ----------
+
+  // Wilson score interval for `wins` out of `n`, in % (95% for the default z)
+  function wilsonInterval(wins, n, z) {
+    if (n === 0) return null;
+    const zz = z || 1.96;
+    const p = wins / n;
+    const denom = 1 + zz * zz / n;
+    const center = (p + zz * zz / (2 * n)) / denom;
+    const half = (zz * Math.sqrt(p * (1 - p) / n + zz * zz / (4 * n * n))) / denom;
+    return { low: Math.max(0, center - half) * 100, high: Math.min(1, center + half) * 100 };
+  }
+
+  // Percentile bootstrap interval of statFn(values)
+  // options: { resamples, level, random }
+  function bootstrapInterval(values, statFn, options) {
+    if (values.length === 0) return null;
+    const opts = Object.assign({ resamples: 2000, level: 95, random: Math.random }, options);
+    const stats = [];
+    for (let i = 0; i < opts.resamples; i++) {
+      const sample = values.map(() => values[Math.floor(opts.random() * values.length)]);
+      stats.push(statFn(sample));
+    }
+    const tail = (100 - opts.level) / 2;
+    return { low: percentile(stats, tail), high: percentile(stats, 100 - tail) };
+  }
+
+  // Per-month intervals for the chosen estimator (bootstrap) and the win rate (Wilson).
+  // A return edge is significant when its interval excludes 0%, a win-rate edge when it excludes 50%.
+  function monthConfidence(assetModel, estimator, trimPercent, options) {
+    const years = getAvailableYears(assetModel);
+    const result = [];
+    for (let m = 1; m <= 12; m++) {
+      const values = years.map(y => assetModel.data[y][m]).filter(isPresent);
+      if (values.length === 0) {
+        result.push(null);
+        continue;
+      }
+      const wins = values.filter(v => v > 0).length;
+      const interval = bootstrapInterval(values, sample => estimate(sample, estimator, trimPercent), options);
+      const winInterval = wilsonInterval(wins, values.length);
+      result.push({
+        count: values.length,
+        value: estimate(values, estimator, trimPercent),
+        low: interval.low,
+        high: interval.high,
+        significant: interval.low > 0 || interval.high < 0,
+        winRate: (wins / values.length) * 100,
+        winLow: winInterval.low,
+        winHigh: winInterval.high,
+        winSignificant: winInterval.low > 50 || winInterval.high < 50
+      });
+    }
+    return result;
+  }
+
+  // Compounded quarterly returns per year plus averages across years
+  function computeQuarterlyData(assetModel) {
+    const years = {};
+    const totals = { q1: [], q2: [], q3: [], q4: [] };
+
+    getAvailableYears(assetModel).forEach(year => {
+      const yearData = assetModel.data[year];
+      if (!yearData) return;
+
+      const row = {};
+      Object.keys(QUARTERS).forEach(q => {
+        row[q] = compound(monthValues(yearData, QUARTERS[q]));
+        if (row[q] !== null) totals[q].push(row[q]);
+      });
+      row.annual = compound([row.q1, row.q2, row.q3, row.q4].filter(v => v !== null));
+      years[year] = row;
+    });
+
+    const averages = {
+      q1: mean(totals.q1),
+      q2: mean(totals.q2),
+      q3: mean(totals.q3),
+      q4: mean(totals.q4)
+    };
+    // Average row's annual figure is the sum of the quarterly averages
+    averages.annual = averages.q1 + averages.q2 + averages.q3 + averages.q4;
+
+    return { years: years, averages: averages };
+  }
+
+  // Historical outlook for one calendar month: median close, median (absolute) volatility and
+  // median close of the following calendar quarter, each with its sample count.
+  // Samples are anchored on the month's year, so Oct-Dec look at Q1 of the next year.
+  function computeMonthOutlook(assetModel, month, years) {
+    const sampleYears = getAvailableYears(assetModel).filter(y => !years || years.includes(y));
+    const nextIdx = Math.ceil(month / 3) % 4;
+    const nextQuarter = Object.keys(QUARTERS)[nextIdx];
+
+    const closes = sampleYears.map(y => assetModel.data[y][month]).filter(isPresent);
+    const volatility = sampleYears
+      .map(y => assetModel.volatilityData[y] && assetModel.volatilityData[y][month])
+      .filter(isPresent)
+      .map(Math.abs);
+    const quarterCloses = sampleYears.map(y => {
+      const values = monthValues(assetModel.data[nextIdx === 0 ? y + 1 : y], QUARTERS[nextQuarter]);
+      return values.length === 3 ? compound(values) : null;
+    }).filter(isPresent);
+
+    const summarize = values => ({ value: values.length > 0 ? median(values) : null, count: values.length });
+    return {
+      close: summarize(closes),
+      volatility: summarize(volatility),
+      nextQuarter: Object.assign({ quarter: nextQuarter.toUpperCase() }, summarize(quarterCloses))
+    };
+  }
+
+  // Latest month with data as { year, month }, or null for an empty model
+  function latestMonth(assetModel) {
+    const years = getAvailableYears(assetModel);
+    for (let i = years.length - 1; i >= 0; i--) {
+      for (let m = 12; m >= 1; m--) {
+        if (isPresent(assetModel.data[years[i]][m])) return { year: years[i], month: m };
+      }
+    }
+    return null;
+  }
+
+  // Month-close summary: the month against the same month in every other year (median and rank,
+  // 1 = best), year and quarter to date against the median full quarter, and the next month's history.
+  function monthCloseSummary(assetModel, year, month) {
+    const years = getAvailableYears(assetModel);
+    const row = assetModel.data[year] || {};
+    const value = isPresent(row[month]) ? row[month] : null;
+    const history = years.filter(y => y !== year).map(y => assetModel.data[y][month]).filter(isPresent);
+
+    const quarter = Object.keys(QUARTERS)[Math.ceil(month / 3) - 1];
+    const quarterMonths = QUARTERS[quarter].filter(m => m <= month);
+    const fullQuarters = years
+      .filter(y => y !== year)
+      .map(y => monthValues(assetModel.data[y], QUARTERS[quarter]))
+      .filter(values => values.length === 3)
+      .map(compound);
+
+    const nextMonth = month % 12 + 1;
+    const nextValues = years.map(y => assetModel.data[y][nextMonth]).filter(isPresent);
+
+    return {
+      year: year,
+      month: month,
+      value: value,
+      median: history.length > 0 ? median(history) : null,
+      count: history.length,
+      rank: value !== null ? 1 + history.filter(v => v > value).length : null,
+      ytd: compound(monthValues(row, MONTHS.map((_, idx) => idx + 1).filter(m => m <= month))),
+      quarter: {
+        quarter: quarter.toUpperCase(),
+        value: compound(monthValues(row, quarterMonths)),
+        monthsDone: quarterMonths.length,
+        median: fullQuarters.length > 0 ? median(fullQuarters) : null,
+        count: fullQuarters.length
+      },
+      next: {
+        month: nextMonth,
+        median: nextValues.length > 0 ? median(nextValues) : null,
+        average: nextValues.length > 0 ? mean(nextValues) : null,
+        winRate: nextValues.length > 0 ? nextValues.filter(v => v > 0).length / nextValues.length * 100 : null,
+        count: nextValues.length
+      }
+    };
+  }
+
+  // ---------- Halving cycles ----------
+
+  // Each halving's cumulative path, indexed by months since the halving month (offset 0 = halving month).
+  // Levels are multiples of the close before the halving month, so offset -1 is 1; a missing month
+  // ends the path on that side. The top is the highest level from offset 0 on; it is `ongoing`
+  // when it sits on the latest data point of an unfinished window.
+  // Returns { offsets, cycles: [{ halving, levels, top }] }
+  function halvingAlignedPaths(assetModel, halvings, before, after) {
+    const monthsBefore = before === undefined ? 24 : before;
+    const monthsAfter = after === undefined ? 36 : after;
+    const offsets = [];
+    for (let k = -monthsBefore; k <= monthsAfter; k++) offsets.push(k);
+
+    // Return for a month counted from year 0 (year * 12 + month - 1)
+    const returnAt = index => {
+      const row = assetModel.data[Math.floor(index / 12)];
+      const value = row ? row[index % 12 + 1] : null;
+      return isPresent(value) ? value : null;
+    };
+
+    const cycles = halvings.map(halving => {
+      const base = halving.year * 12 + halving.month - 1;
+      const levels = {};
+      if (returnAt(base - 1) !== null || returnAt(base) !== null) levels[-1] = 1;
+
+      let level = 1;
+      for (let k = 0; k <= monthsAfter && levels[-1] !== undefined; k++) {
+        const r = returnAt(base + k);
+        if (r === null) break;
+        level *= 1 + r / 100;
+        levels[k] = level;
+      }
+      level = 1;
+      for (let k = -1; k > -monthsBefore && levels[-1] !== undefined; k--) {
+        const r = returnAt(base + k);
+        if (r === null) break;
+        level /= 1 + r / 100;
+        levels[k - 1] = level;
+      }
+
+      let top = null;
+      let lastOffset = null;
+      for (let k = 0; k <= monthsAfter; k++) {
+        if (levels[k] === undefined) break;
+        lastOffset = k;
+        if (!top || levels[k] > top.level) top = { offset: k, level: levels[k] };
+      }
+      if (top) top.ongoing = top.offset === lastOffset && lastOffset < monthsAfter;
+
+      return {
+        halving: halving,
+        levels: offsets.map(k => levels[k] !== undefined ? levels[k] : null),
+        top: top
+      };
+    });
+
+    return { offsets: offsets, cycles: cycles };
+  }
+
+  const BLOCKS_PER_HALVING = 210000;
+
+  // Copy of the halving list with projected halvings appended every 4 years (210,000 blocks)
+  // until one falls after untilYear. Projections reuse the last halving's month and months-to-top.
+  function extendHalvings(halvings, untilYear) {
+    const result = halvings.map(h => Object.assign({}, h));
+    while (result.length > 0 && result[result.length - 1].year <= untilYear) {
+      const last = result[result.length - 1];
+      const block = last.block + BLOCKS_PER_HALVING;
+      const prevReward = parseFloat(last.reward);
+      result.push({
+        year: last.year + 4,
+        month: last.month,
+        label: `${ordinal(block / BLOCKS_PER_HALVING)} Halving`,
+        block: block,
+        reward: `${prevReward / 2} BTC`,
+        prevReward: last.reward,
+        projected: true,
+        monthsToTop: last.monthsToTop,
+        monthsToTopProjected: true
+      });
+    }
+    return result;
+  }
+
+  // ---------- Cycle phase model ----------
+
+  const CYCLE_PHASES = ['Top', 'Bottom', 'Recovery', 'Rally'];
+  const CYCLE_MODEL_TYPES = ['sequence', 'halving', 'table'];
+
+  // Checks a cycle model definition; throws on anything unusable
+  //   sequence: { anchorYear, sequence, startYear? } - sequence[0] at anchorYear, repeating; no phase before startYear
+  //   halving:  { sequence } - phase by whole years from the latest halving to mid-year (July)
+  //   table:    { phases: { year: phase } } - explicit, years outside the table have no phase
+  function parseCycleModel(definition) {
+    if (!definition || typeof definition !== 'object') throw new Error('Cycle model must be an object');
+    if (!definition.id) throw new Error('Cycle model is missing its id');
+    if (!CYCLE_MODEL_TYPES.includes(definition.type)) {
+      throw new Error(`Unknown cycle model type for ${definition.id}: ${definition.type}`);
+    }
+    const checkPhase = phase => {
+      if (!CYCLE_PHASES.includes(phase)) throw new Error(`Unknown cycle phase in ${definition.id}: ${phase}`);
+      return phase;
+    };
+
+    const model = {
+      id: String(definition.id),
+      label: definition.label ? String(definition.label) : String(definition.id),
+      type: definition.type
+    };
+    if (definition.type === 'table') {
+      if (!definition.phases || typeof definition.phases !== 'object') {
+        throw new Error(`Cycle model ${definition.id} has no phase table`);
+      }
+      model.phases = {};
+      Object.keys(definition.phases).forEach(year => {
+        if (!/^\d{4}$/.test(year)) throw new Error(`Bad year in ${definition.id}: ${year}`);
+        if (definition.phases[year]) model.phases[year] = checkPhase(definition.phases[year]);
+      });
+      return model;
+    }
+
+    if (!Array.isArray(definition.sequence) || definition.sequence.length === 0) {
+      throw new Error(`Cycle model ${definition.id} has no phase sequence`);
+    }
+    model.sequence = definition.sequence.map(checkPhase);
+    if (definition.type === 'sequence') {
+      if (!Number.isInteger(definition.anchorYear)) throw new Error(`Cycle model ${definition.id} needs an anchorYear`);
+      model.anchorYear = definition.anchorYear;
+      model.startYear = Number.isInteger(definition.startYear) ? definition.startYear : null;
+    }
+    return model;
+  }
+
+  // cycles.json -> [model]; see parseCycleModel for the definitions
+  function parseCycleModels(json) {
+    if (!json || typeof json !== 'object') throw new Error('Cycle config must be a JSON object');
+    if (json.version !== 1) throw new Error(`Unsupported cycle config version: ${json.version} (expected 1)`);
+    if (!Array.isArray(json.models)) throw new Error('Cycle config has no models');
+    return json.models.map(parseCycleModel);
+  }
+
+  // Phase of every year in [fromYear, toYear] under a model ('' when it has none)
+  // Returns { phases: { year: phase }, groups: { phase: [years] } }; groups always lists every phase.
+  function buildCyclePhases(model, fromYear, toYear, halvings) {
+    const phaseOf = year => {
+      if (model.type === 'table') return model.phases[year] || '';
+      const n = model.sequence.length;
+      if (model.type === 'sequence') {
+        if (model.startYear !== null && year < model.startYear) return '';
+        return model.sequence[((year - model.anchorYear) % n + n) % n];
+      }
+      const midYear = year * 12 + 6;
+      const latest = (halvings || [])
+        .map(h => h.year * 12 + h.month - 1)
+        .filter(index => index <= midYear);
+      if (latest.length === 0) return '';
+      return model.sequence[Math.floor((midYear - Math.max(...latest)) / 12) % n];
+    };
+
+    const phases = {};
+    const groups = {};
+    CYCLE_PHASES.forEach(phase => { groups[phase] = []; });
+    for (let year = fromYear; year <= toYear; year++) {
+      phases[year] = phaseOf(year);
+      if (phases[year]) groups[phases[year]].push(year);
+    }
+    return { phases: phases, groups: groups };
+  }
+
+  // ---------- Drawdowns ----------
+
+  // Month counted from year 0 (year * 12 + month - 1) -> { year, month }
+  function monthAt(index) {
+    return { year: Math.floor(index / 12), month: index % 12 + 1 };
+  }
+
+  // Monthly returns compounded into an index that is 1 before the first month; missing months are skipped.
+  // Returns [{ year, month, level, drawdown }], drawdown being % below the running peak (0 at a new high)
+  function underwaterCurve(assetModel) {
+    const points = [];
+    let level = 1;
+    let peak = 1;
+    getAvailableYears(assetModel).forEach(year => {
+      for (let m = 1; m <= 12; m++) {
+        const r = assetModel.data[year][m];
+        if (!isPresent(r)) continue;
+        level *= 1 + r / 100;
+        peak = Math.max(peak, level);
+        points.push({ year: year, month: m, level: level, drawdown: (level / peak - 1) * 100 });
+      }
+    });
+    return points;
+  }
+
+  // Declines of the compounded index from a high until it closes back at or above it, deepest first.
+  // `start` is the month that set the high (the month before the data for the starting level),
+  // `recovery` is null while still underwater. Durations are calendar months from start to trough,
+  // trough to recovery, and start to recovery (or the latest month).
+  function drawdownEpisodes(assetModel, limit) {
+    const points = underwaterCurve(assetModel);
+    if (points.length === 0) return [];
+    const indexOf = p => p.year * 12 + p.month - 1;
+
+    const episodes = [];
+    let peakIndex = indexOf(points[0]) - 1;
+    let peakLevel = 1;
+    let current = null;
+    points.forEach(p => {
+      if (p.level >= peakLevel) {
+        if (current) {
+          current.recoveryIndex = indexOf(p);
+          episodes.push(current);
+          current = null;
+        }
+        peakLevel = p.level;
+        peakIndex = indexOf(p);
+        return;
+      }
+      if (!current) current = { startIndex: peakIndex, troughIndex: indexOf(p), depth: p.drawdown, recoveryIndex: null };
+      if (p.drawdown < current.depth) {
+        current.depth = p.drawdown;
+        current.troughIndex = indexOf(p);
+      }
+    });
+    if (current) episodes.push(current);
+
+    const lastIndex = indexOf(points[points.length - 1]);
+    const result = episodes
+      .sort((a, b) => a.depth - b.depth)
+      .map(e => ({
+        start: monthAt(e.startIndex),
+        trough: monthAt(e.troughIndex),
+        recovery: e.recoveryIndex !== null ? monthAt(e.recoveryIndex) : null,
+        depth: e.depth,
+        declineMonths: e.troughIndex - e.startIndex,
+        recoveryMonths: e.recoveryIndex !== null ? e.recoveryIndex - e.troughIndex : null,
+        totalMonths: (e.recoveryIndex !== null ? e.recoveryIndex : lastIndex) - e.startIndex
+      }));
+    return limit ? result.slice(0, limit) : result;
+  }
+
+  // Deepest peak-to-trough decline inside each calendar year, measured from the prior year's close
+  // Returns { year: % (0 when the year never dipped) }; years without returns are left out
+  function yearMaxDrawdowns(assetModel) {
+    const result = {};
+    getAvailableYears(assetModel).forEach(year => {
+      let level = 1;
+      let peak = 1;
+      let worst = null;
+      for (let m = 1; m <= 12; m++) {
+        const r = assetModel.data[year][m];
+        if (!isPresent(r)) continue;
+        level *= 1 + r / 100;
+        peak = Math.max(peak, level);
+        worst = Math.min(worst === null ? 0 : worst, (level / peak - 1) * 100);
+      }
+      if (worst !== null) result[year] = worst;
+    });
+    return result;
+  }
+
+  // ---------- Projection ----------
+
+  const FAN_PERCENTILES = [5, 25, 50, 75, 95];
+
+  // Monte Carlo rest-of-year projection: each missing month after the last realized one is
+  // drawn from that month's returns in sampleYears (every other year when omitted) and
+  // compounded onto the realized YTD. Returns null when the year is complete or a month has no history.
+  // options: { simulations, sampleYears, random }
+  function projectRestOfYear(assetModel, year, options) {
+    const opts = Object.assign({ simulations: 5000, sampleYears: null, random: Math.random }, options);
+    const yearData = assetModel.data[year];
+    if (!yearData) return null;
+
+    let lastRealized = 0;
+    for (let m = 1; m <= 12; m++) {
+      if (isPresent(yearData[m])) lastRealized = m;
+    }
+    if (lastRealized === 12) return null;
+
+    // Running YTD % at the end of each realized month
+    const realizedYtd = [];
+    let realized = 1;
+    for (let m = 1; m <= lastRealized; m++) {
+      if (isPresent(yearData[m])) realized *= 1 + yearData[m] / 100;
+      realizedYtd.push((realized - 1) * 100);
+    }
+    const ytd = (realized - 1) * 100;
+
+    const historyYears = getAvailableYears(assetModel)
+      .filter(y => y !== year && (!opts.sampleYears || opts.sampleYears.includes(y)));
+    const months = [];
+    const pools = {};
+    for (let m = lastRealized + 1; m <= 12; m++) {
+      pools[m] = historyYears.map(y => assetModel.data[y][m]).filter(isPresent);
+      if (pools[m].length === 0) return null;
+      months.push(m);
+    }
+
+    // paths[i][s] = simulated YTD % at the end of months[i]
+    const paths = months.map(() => []);
+    for (let s = 0; s < opts.simulations; s++) {
+      let equity = 1 + ytd / 100;
+      months.forEach((m, i) => {
+        const pool = pools[m];
+        equity *= 1 + pool[Math.floor(opts.random() * pool.length)] / 100;
+        paths[i].push((equity - 1) * 100);
+      });
+    }
+
+    const fan = {};
+    FAN_PERCENTILES.forEach(p => { fan[p] = paths.map(values => percentile(values, p)); });
+    const finals = paths[paths.length - 1];
+    const yearEnd = {};
+    FAN_PERCENTILES.forEach(p => { yearEnd[p] = fan[p][fan[p].length - 1]; });
+
+    return {
+      year: year,
+      lastRealized: lastRealized,
+      realizedYtd: realizedYtd,
+      ytd: ytd,
+      months: months,
+      fan: fan,
+      yearEnd: yearEnd,
+      probGreen: (finals.filter(v => v > 0).length / finals.length) * 100,
+      sampleSizes: months.map(m => pools[m].length),
+      simulations: opts.simulations
+    };
+  }
+
+  // ---------- Backtesting ----------
+
+  // Equity curve and summary for a sequence of monthly returns; uninvested months earn 0
+  function equityStats(returns, invested) {
+    let equity = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    let wins = 0;
+    let exposure = 0;
+    const curve = returns.map((r, idx) => {
+      if (invested[idx]) {
+        equity *= 1 + r / 100;
+        exposure++;
+        if (r > 0) wins++;
+      }
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.min(maxDrawdown, (equity / peak - 1) * 100);
+      return equity;
+    });
+
+    const n = returns.length;
+    return {
+      curve: curve,
+      totalReturn: (equity - 1) * 100,
+      cagr: n > 0 ? (Math.pow(equity, 12 / n) - 1) * 100 : null,
+      maxDrawdown: maxDrawdown,
+      hitRate: exposure > 0 ? (wins / exposure) * 100 : null,
+      exposure: n > 0 ? (exposure / n) * 100 : 0
+    };
+  }
+
+  // Seasonal strategy vs buy-and-hold on one asset's monthly returns.
+  // rule: {
+  //   select: 'all' | 'winRate' | 'average' | 'months',
+  //   threshold,      // min win rate % ('winRate') or min mean return % ('average')
+  //   months,         // months to hold ('months')
+  //   phases,         // allowed cycle phases (null = any), looked up in yearPhases
+  //   skipAfterRed,   // stay out after this many red months in a row (0 = off)
+  //   minHistory      // prior years of a month needed before it can be judged
+  // }
+  // Month statistics are walk-forward: a month in year Y is judged on years before Y only.
+  // Both curves start once minHistory years have passed, so they cover the same window.
+  function runBacktest(assetModel, rule, yearPhases) {
+    const years = getAvailableYears(assetModel);
+    const minHistory = Math.max(1, rule.minHistory || 1);
+    const startYear = years[Math.min(minHistory, years.length)];
+    const judged = rule.select === 'winRate' || rule.select === 'average';
+
+    const periods = [];
+    let redRun = 0;
+    years.forEach(year => {
+      for (let m = 1; m <= 12; m++) {
+        const ret = assetModel.data[year][m];
+        if (!isPresent(ret)) continue;
+
+        if (startYear !== undefined && year >= startYear) {
+          let hold = true;
+          if (judged) {
+            const prior = years.filter(y => y < year).map(y => assetModel.data[y][m]).filter(isPresent);
+            if (prior.length < minHistory) {
+              hold = false;
+            } else if (rule.select === 'winRate') {
+              hold = (prior.filter(v => v > 0).length / prior.length) * 100 >= rule.threshold;
+            } else {
+              hold = mean(prior) >= rule.threshold;
+            }
+          } else if (rule.select === 'months') {
+            hold = (rule.months || []).includes(m);
+          }
+          if (rule.phases && rule.phases.length > 0) {
+            hold = hold && rule.phases.includes((yearPhases || {})[year]);
+          }
+          if (rule.skipAfterRed > 0 && redRun >= rule.skipAfterRed) hold = false;
+
+          periods.push({ year: year, month: m, return: ret, invested: hold });
+        }
+
+        redRun = ret < 0 ? redRun + 1 : 0;
+      }
+    });
+
+    const returns = periods.map(p => p.return);
+    const { curve: strategyCurve, ...strategy } = equityStats(returns, periods.map(p => p.invested));
+    const { curve: benchmarkCurve, ...benchmark } = equityStats(returns, periods.map(() => true));
+    periods.forEach((p, idx) => {
+      p.equity = strategyCurve[idx];
+      p.benchmark = benchmarkCurve[idx];
+    });
+
+    return { periods: periods, strategy: strategy, benchmark: benchmark };
+  }
+
+  // Year-to-date % return through each month (12 entries). Compounding starts at the year's first
+  // month with data; months before it, and every month from a gap on, are null.
+  function cumulativeReturns(yearData) {
+    const values = [];
+    let level = null;
+    let broken = false;
+    for (let m = 1; m <= 12; m++) {
+      const r = yearData ? yearData[m] : null;
+      if (!isPresent(r)) {
+        if (level !== null) broken = true;
+        values.push(null);
+        continue;
+      }
+      if (broken) {
+        values.push(null);
+        continue;
+      }
+      level = (level === null ? 1 : level) * (1 + r / 100);
+      values.push((level - 1) * 100);
+    }
+    return values;
+  }
+
+  // Per-month mean of a set of years (used for the cycle average line); null where no year has data.
+  // With `cumulative`, averages each year's year-to-date path instead of the monthly returns.
+  function computeCycleAverage(dataSource, years, cumulative) {
+    const series = years.map(y => cumulative
+      ? cumulativeReturns(dataSource[y])
+      : MONTHS.map((_, idx) => dataSource[y] ? dataSource[y][idx + 1] : null));
+    return MONTHS.map((_, idx) => {
+      const values = series.map(path => path[idx]).filter(isPresent);
+      return values.length > 0 ? mean(values) : null;
+    });
+  }
+
+  // ---------- Correlation ----------
+
+  function pearson(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let cov = 0, vx = 0, vy = 0;
+    for (let i = 0; i < n; i++) {
+      cov += (xs[i] - mx) * (ys[i] - my);
+      vx += Math.pow(xs[i] - mx, 2);
+      vy += Math.pow(ys[i] - my, 2);
+    }
+    return vx === 0 || vy === 0 ? null : cov / Math.sqrt(vx * vy);
+  }
+
+  // 1-based ranks, ties share their average rank
+  function ranks(values) {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const result = new Array(values.length);
+    let i = 0;
+    while (i < order.length) {
+      let j = i;
+      while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+      for (let k = i; k <= j; k++) result[order[k]] = (i + j) / 2 + 1;
+      i = j + 1;
+    }
+    return result;
+  }
+
+  function spearman(xs, ys) {
+    return pearson(ranks(xs), ranks(ys));
+  }
+
+  // Months where both assets have a return, optionally limited to some years
+  function pairedReturns(assetA, assetB, years) {
+    const a = [];
+    const b = [];
+    getAvailableYears(assetA).forEach(year => {
+      if (years && !years.includes(year)) return;
+      const yearA = assetA.data[year];
+      const yearB = assetB.data[year];
+      if (!yearB) return;
+      for (let m = 1; m <= 12; m++) {
+        if (isPresent(yearA[m]) && isPresent(yearB[m])) {
+          a.push(yearA[m]);
+          b.push(yearB[m]);
+        }
+      }
+    });
+    return { a: a, b: b };
+  }
+
+  // Pairwise correlation of monthly returns: { keys, cells[i][j] = { value, count } }.
+  // Pairs with fewer than minOverlap shared months get a null value.
+  function correlationMatrix(assets, method, years, minOverlap = 3) {
+    const keys = Object.keys(assets);
+    const correlate = method === 'spearman' ? spearman : pearson;
+    const cells = keys.map(() => []);
+
+    keys.forEach((keyA, i) => {
+      keys.forEach((keyB, j) => {
+        if (j < i) {
+          cells[i][j] = cells[j][i];
+          return;
+        }
+        const pairs = pairedReturns(assets[keyA], assets[keyB], years);
+        const count = pairs.a.length;
+        cells[i][j] = {
+          value: count >= minOverlap ? correlate(pairs.a, pairs.b) : null,
+          count: count
+        };
+      });
+    });
+
+    return { keys: keys, cells: cells };
+  }
+
+  // ---------- Validation ----------
+
+  // Check raw data.json against the shape normalizeAsset expects.
+  // Returns a flat list of { severity, asset, year, month, rule, message }.
+  // 'error' marks malformed data that is dropped or treated as missing,
+  // 'warning' marks data that is used but looks inconsistent.
+  function validateRawData(rawData) {
+    const issues = [];
+    const report = (severity, asset, year, month, rule, message) => {
+      issues.push({ severity, asset, year, month, rule, message });
+    };
+
+    if (!rawData || !Array.isArray(rawData.assets)) {
+      report('error', null, null, null, 'schema', 'Top-level "assets" array is missing');
+      return issues;
+    }
+
+    const seenAssets = new Set();
+    rawData.assets.forEach((asset, idx) => {
+      const key = asset && typeof asset.asset === 'string' ? asset.asset : null;
+      if (!key) {
+        report('error', `#${idx + 1}`, null, null, 'schema', 'Asset has no "asset" name');
+        return;
+      }
+      if (seenAssets.has(key)) {
+        report('error', key, null, null, 'duplicate-asset', 'Asset appears more than once; first entry is used');
+      }
+      seenAssets.add(key);
+      if (!Array.isArray(asset.years)) {
+        report('error', key, null, null, 'schema', 'Asset has no "years" array');
+        return;
+      }
+
+      const returnsByYear = {};
+      asset.years.forEach((y, yearIdx) => {
+        if (!isRecord(y)) {
+          report('error', key, null, null, 'schema', `Year entry #${yearIdx + 1} is not an object and is skipped`);
+          return;
+        }
+        if (!isYearEntry(y)) {
+          report('error', key, null, null, 'schema', `Year entry #${yearIdx + 1} has no integer "year" and is skipped`);
+          return;
+        }
+        if (returnsByYear[y.year]) {
+          report('error', key, y.year, null, 'duplicate-year', 'Year appears more than once; first entry is used');
+          return;
+        }
+        if (!Array.isArray(y.returns)) {
+          report('error', key, y.year, null, 'schema', 'Year has no "returns" array');
+          return;
+        }
+        if (y.green === null || y.green === undefined) {
+          report('error', key, y.year, null, 'missing-counts', 'Year has no green/red counts and is skipped');
+          return;
+        }
+        returnsByYear[y.year] = y.returns;
+
+        if (y.returns.length !== 12) {
+          report('error', key, y.year, null, 'returns-length', `Expected 12 monthly returns, found ${y.returns.length}`);
+        }
+        y.returns.forEach((val, m) => {
+          if (isPresent(val) && (typeof val !== 'number' || !isFinite(val))) {
+            report('error', key, y.year, m + 1, 'invalid-value', `Return is not a number (${JSON.stringify(val)}); treated as missing`);
+          }
+        });
+
+        const numeric = y.returns.filter(v => typeof v === 'number');
+        const green = numeric.filter(v => v > 0).length;
+        const red = numeric.filter(v => v < 0).length;
+        if (green !== y.green || red !== y.red) {
+          report('warning', key, y.year, null, 'green-red-mismatch',
+            `Green/red is ${y.green}/${y.red} but returns give ${green}/${red}`);
+        }
+      });
+
+      if (!asset.volatility) return;
+      if (!Array.isArray(asset.volatility)) {
+        report('error', key, null, null, 'schema', '"volatility" is not an array and is ignored');
+        return;
+      }
+      const seenVolYears = new Set();
+      asset.volatility.forEach((v, volIdx) => {
+        if (!isRecord(v)) {
+          report('error', key, null, null, 'schema', `Volatility entry #${volIdx + 1} is not an object and is skipped`);
+          return;
+        }
+        if (!isYearEntry(v)) {
+          report('error', key, null, null, 'schema', `Volatility entry #${volIdx + 1} has no integer "year" and is skipped`);
+          return;
+        }
+        if (seenVolYears.has(v.year)) {
+          report('error', key, v.year, null, 'duplicate-year', 'Volatility year appears more than once; first entry is used');
+          return;
+        }
+        seenVolYears.add(v.year);
+        if (!Array.isArray(v.volatility)) {
+          report('error', key, v.year, null, 'schema', 'Volatility year has no "volatility" array and is skipped');
+          return;
+        }
+
+        const returns = returnsByYear[v.year];
+        if (!returns) {
+          report('warning', key, v.year, null, 'volatility-orphan', 'Volatility year has no matching returns year');
+          return;
+        }
+        if (v.volatility.length !== 12) {
+          report('error', key, v.year, null, 'volatility-length', `Expected 12 volatility values, found ${v.volatility.length}`);
+        }
+        v.volatility.forEach((vol, m) => {
+          const ret = returns[m];
+          if (isPresent(vol) !== isPresent(ret)) {
+            report('warning', key, v.year, m + 1, 'volatility-gap',
+              isPresent(vol) ? 'Volatility without a return' : 'Return without volatility');
+          } else if (typeof vol === 'number' && typeof ret === 'number' && ret * vol < 0) {
+            report('warning', key, v.year, m + 1, 'volatility-sign',
+              `Volatility ${vol} has the opposite sign of return ${ret}`);
+          }
+        });
+      });
+
+      Object.keys(returnsByYear).map(Number).forEach(year => {
+        if (!seenVolYears.has(year) && returnsByYear[year].some(isPresent)) {
+          report('warning', key, year, null, 'volatility-missing', 'Year has returns but no volatility row');
+        }
+      });
+    });
+
+    return issues;
+  }
+
+  // ---------- Price ingestion ----------
+
+  // Minimal CSV parser (quoted fields, comma separated) -> array of row objects
+  function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const splitLine = line => {
+      const cells = [];
+      let cell = '';
+      let quoted = false;
+      for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') {
+          if (quoted && line[i + 1] === '"') {
+            cell += '"';
+            i++;
+          } else {
+            quoted = !quoted;
+          }
+        } else if (ch === ',' && !quoted) {
+          cells.push(cell.trim());
+          cell = '';
+        } else {
+          cell += ch;
+        }
+      }
+      cells.push(cell.trim());
+      return cells;
+    };
+
+    const headers = splitLine(lines[0]).map(h => h.toLowerCase());
+    return lines.slice(1).map(line => {
+      const cells = splitLine(line);
+      const row = {};
+      headers.forEach((h, idx) => { row[h] = cells[idx]; });
+      return row;
+    });
+  }
+
+  // Array of rows (arrays of cells) -> CSV text; null/undefined become empty cells
+  function formatCsv(rows) {
+    const formatCell = value => {
+      if (!isPresent(value)) return '';
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // 'YYYY-MM', 'YYYY-MM-DD', ISO timestamps or unix time (s or ms) -> { year, month }.
+  // Unix times need 9+ digits (1973 on), so a bare year like '2024' is rejected rather than read as 1970.
+  function parseMonth(value) {
+    if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+      const num = Number(value);
+      if (num < 1e8) throw new Error(`Unrecognized date: ${value} (expected YYYY-MM or a unix timestamp)`);
+      const date = new Date(num > 1e11 ? num : num * 1000);
+      return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+    }
+    const match = /^(\d{4})-(\d{1,2})/.exec(String(value).trim());
+    if (!match) throw new Error(`Unrecognized date: ${value}`);
+    const month = Number(match[2]);
+    if (month < 1 || month > 12) throw new Error(`Unrecognized date: ${value}`);
+    return { year: Number(match[1]), month: month };
+  }
+
+  function toPrice(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    if (!isFinite(num) || num <= 0) throw new Error(`Invalid price: ${value}`);
+    return num;
+  }
+
+  // Price rows ({ asset?, date|time, open?, high?, low?, close }) -> { KEY: [monthly candles] }
+  // Several rows in the same month (e.g. daily candles) are merged into one monthly candle,
+  // so rows are expected in date order.
+  function groupPriceRows(rows, defaultAsset) {
+    const byAsset = {};
+    rows.forEach(row => {
+      if (!isRecord(row)) throw new Error('Price row is not an object');
+      const key = row.asset || row.symbol || defaultAsset;
+      if (!key) throw new Error('Price row has no asset and no default asset was given');
+      const { year, month } = parseMonth(row.date !== undefined ? row.date : row.time);
+      const close = toPrice(row.close);
+      if (close === null) throw new Error(`Missing close for ${key} ${year}-${month}`);
+      const candle = {
+        year: year,
+        month: month,
+        open: toPrice(row.open),
+        high: toPrice(row.high),
+        low: toPrice(row.low),
+        close: close
+      };
+
+      const candles = byAsset[key] = byAsset[key] || {};
+      const id = year * 100 + month;
+      const prev = candles[id];
+      candles[id] = !prev ? candle : {
+        year: year,
+        month: month,
+        open: prev.open,
+        high: prev.high !== null && candle.high !== null ? Math.max(prev.high, candle.high) : null,
+        low: prev.low !== null && candle.low !== null ? Math.min(prev.low, candle.low) : null,
+        close: candle.close
+      };
+    });
+
+    const series = {};
+    Object.keys(byAsset).forEach(key => {
+      series[key] = Object.keys(byAsset[key])
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(id => byAsset[key][id]);
+    });
+    return series;
+  }
+
+  // CSV with a header row, one candle per line
+  function parsePriceCsv(text, defaultAsset) {
+    return groupPriceRows(parseCsv(text), defaultAsset);
+  }
+
+  // { assets: { KEY: [candles] } }, { KEY: [candles] } or a flat array of rows
+  function parsePriceJson(json, defaultAsset) {
+    if (Array.isArray(json)) return groupPriceRows(json, defaultAsset);
+    const assets = json.assets || json;
+    const rows = [];
+    Object.keys(assets).forEach(key => {
+      if (!Array.isArray(assets[key])) throw new Error(`Prices for ${key} are not a list of candles`);
+      assets[key].forEach(candle => rows.push(Object.assign({ asset: key }, candle)));
+    });
+    return groupPriceRows(rows, defaultAsset);
+  }
+
+  // Monthly candles -> one entry of data.json's `assets` array.
+  // Returns use open->close when the open is known, else the previous month's close.
+  // Volatility is the intra-month range: low-to-high (%) for green months,
+  // high-to-low (negative %) for red months; it needs high/low prices.
+  function buildRawAssetFromPrices(key, candles) {
+    const years = {};
+    const volatility = {};
+    let prevClose = null;
+    let prevId = null;
+
+    candles.forEach(c => {
+      const id = c.year * 12 + c.month;
+      // A gap in the series breaks close-to-close returns
+      const base = c.open !== null ? c.open : (prevId === id - 1 ? prevClose : null);
+      prevClose = c.close;
+      prevId = id;
+      if (base === null) return;
+
+      const ret = (c.close / base - 1) * 100;
+      if (!years[c.year]) years[c.year] = new Array(12).fill(null);
+      years[c.year][c.month - 1] = ret;
+
+      if (c.high !== null && c.low !== null) {
+        if (!volatility[c.year]) volatility[c.year] = new Array(12).fill(null);
+        volatility[c.year][c.month - 1] = ret >= 0
+          ? (c.high / c.low - 1) * 100
+          : -(1 - c.low / c.high) * 100;
+      }
+    });
+
+    return rawAssetFromYears(key, years, volatility);
+  }
+
+  // { year: [12 returns] } (+ volatility in the same shape, if known) -> one data.json asset entry
+  function rawAssetFromYears(key, years, volatility) {
+    const yearList = Object.keys(years).map(Number).sort((a, b) => a - b);
+    const byMonth = m => yearList.map(y => years[y][m]).filter(isPresent);
+
+    const asset = {
+      asset: key,
+      years: yearList.map(y => ({
+        year: y,
+        returns: years[y],
+        green: years[y].filter(v => isPresent(v) && v > 0).length,
+        red: years[y].filter(v => isPresent(v) && v < 0).length
+      })),
+      months: [...MONTHS],
+      average: MONTHS.map((_, m) => round2(mean(byMonth(m)))),
+      median: MONTHS.map((_, m) => round2(median(byMonth(m))))
+    };
+    if (volatility) {
+      asset.volatility = Object.keys(volatility).map(Number).sort((a, b) => a - b)
+        .map(y => ({ year: y, volatility: volatility[y] }));
+    }
+    return asset;
+  }
+
+  // { KEY: [candles] } -> data.json shape ({ assets: [...] })
+  function buildRawDataFromPrices(series) {
+    return {
+      assets: Object.keys(series).map(key => buildRawAssetFromPrices(key, series[key]))
+    };
+  }
+
+  // Return rows ({ asset?, date|time, return }) in %, '12%' or 12 -> data.json shape (no volatility)
+  function buildRawDataFromReturns(rows, defaultAsset) {
+    const byAsset = {};
+    rows.forEach(row => {
+      const key = row.asset || row.symbol || defaultAsset;
+      if (!key) throw new Error('Return row has no asset and no default asset was given');
+      const { year, month } = parseMonth(row.date !== undefined ? row.date : row.time);
+      const text = String(row.return === undefined || row.return === null ? '' : row.return).replace('%', '').trim();
+      const value = text === '' ? null : Number(text);
+      if (value !== null && !isFinite(value)) throw new Error(`Invalid return for ${key} ${year}-${month}: ${row.return}`);
+
+      const years = byAsset[key] = byAsset[key] || {};
+      if (!years[year]) years[year] = new Array(12).fill(null);
+      if (isPresent(years[year][month - 1])) throw new Error(`Duplicate return for ${key} ${year}-${month}`);
+      years[year][month - 1] = value;
+    });
+    return {
+      assets: Object.keys(byAsset).map(key => rawAssetFromYears(key, byAsset[key], null))
+    };
+  }
+
+  function buildRawDataFromRows(rows, defaultAsset) {
+    if (rows.length === 0) throw new Error('File has no rows');
+    if (!rows.every(isRecord)) throw new Error('Expected one object per row');
+    if (rows.some(row => row.close !== undefined)) return buildRawDataFromPrices(groupPriceRows(rows, defaultAsset));
+    if (rows.some(row => row.return !== undefined)) return buildRawDataFromReturns(rows, defaultAsset);
+    throw new Error('Expected a "close" column (monthly prices) or a "return" column (monthly % returns)');
+  }
+
+  // A user-supplied asset file -> data.json shape ({ assets: [...] }). Accepts data.json itself,
+  // a single data.json asset, { KEY: [candles] }, or CSV/JSON rows of closes or % returns.
+  // Rows without an asset column belong to defaultAsset.
+  function parseAssetFile(name, text, defaultAsset) {
+    if (name.toLowerCase().endsWith('.csv')) return buildRawDataFromRows(parseCsv(text), defaultAsset);
+
+    const json = JSON.parse(text);
+    if (Array.isArray(json)) return buildRawDataFromRows(json, defaultAsset);
+    if (!json || typeof json !== 'object') throw new Error('Expected a JSON object or array');
+    if (Array.isArray(json.assets)) return { assets: json.assets };
+    if (Array.isArray(json.years)) return { assets: [Object.assign({ asset: defaultAsset }, json)] };
+    return buildRawDataFromPrices(parsePriceJson(json, defaultAsset));
+  }
+
+  // ---------- TBT Forecaster ingestion ----------
+
+  const FORECAST_VERSION = 1;
+  const FORECAST_FIELDS = ['monthlyClose', 'monthlyVol', 'quarterlyClose'];
+
+  // Spreadsheet row labels -> forecast fields (compared lowercase, alphanumerics only)
+  const FORECAST_LABELS = {
+    monthlyclose: 'monthlyClose',
+    monthlyvol: 'monthlyVol',
+    monthlyvolatility: 'monthlyVol',
+    quarterlyclose: 'quarterlyClose'
+  };
+
+  const labelKey = label => String(label || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  // '12', '12%', 12 -> 12; blanks -> null
+  function toPercent(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const num = Number(String(value).replace('%', '').trim());
+    if (!isFinite(num)) throw new Error(`Invalid forecast value: ${value}`);
+    return num;
+  }
+
+  function checkForecast(forecast) {
+    if (Object.keys(forecast.assets).length === 0) throw new Error('Forecast has no assets');
+    return forecast;
+  }
+
+  // { version: 1, asOf: 'YYYY-MM', assets: { KEY: { monthlyClose, monthlyVol, quarterlyClose } }, alerts }
+  // -> { asOf: { year, month }, assets, alerts }
+  function parseForecastJson(json) {
+    if (!json || typeof json !== 'object') throw new Error('Forecast must be a JSON object');
+    if (json.version !== FORECAST_VERSION) {
+      throw new Error(`Unsupported forecast version: ${json.version} (expected ${FORECAST_VERSION})`);
+    }
+    if (!json.asOf) throw new Error('Forecast has no asOf date');
+
+    const assets = {};
+    Object.keys(json.assets || {}).forEach(key => {
+      if (!isRecord(json.assets[key])) throw new Error(`Forecast entry for ${key} must be an object`);
+      assets[key] = {};
+      FORECAST_FIELDS.forEach(field => { assets[key][field] = toPercent(json.assets[key][field]); });
+    });
+
+    return checkForecast({
+      asOf: parseMonth(json.asOf),
+      assets: assets,
+      alerts: Object.assign({}, json.alerts)
+    });
+  }
+
+  // Spreadsheet export laid out like the dashboard table: a header row of asset keys,
+  // an "As of" row and one row per metric. Unknown rows are ignored.
+  function parseForecastCsv(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) throw new Error('Forecast CSV is empty');
+
+    const headers = Object.keys(rows[0]);
+    const labelColumn = headers[0];
+    const assetColumns = headers.slice(1).filter(h => h !== '');
+    const assets = {};
+    assetColumns.forEach(col => {
+      assets[col.toUpperCase()] = {};
+      FORECAST_FIELDS.forEach(field => { assets[col.toUpperCase()][field] = null; });
+    });
+    let asOf = null;
+
+    rows.forEach(row => {
+      const label = labelKey(row[labelColumn]);
+      if (label === 'asof' || label === 'date') {
+        const value = assetColumns.map(col => row[col]).find(v => v);
+        if (value) asOf = parseMonth(value);
+        return;
+      }
+      const field = FORECAST_LABELS[label];
+      if (!field) return;
+      assetColumns.forEach(col => { assets[col.toUpperCase()][field] = toPercent(row[col]); });
+    });
+
+    if (!asOf) throw new Error('Forecast CSV has no "As of" row');
+    return checkForecast({ asOf: asOf, assets: assets, alerts: {} });
+  }
+
+  // ---------- Market regime alerts ----------
+
+  const REGIME_CONFIG_VERSION = 1;
+  const RULE_OPS = {
+    above: 'above',
+    below: 'below',
+    is: 'is',
+    isNot: 'is not'
+  };
+
+  // { indicator, op, value, message? } -> validated rule; throws on anything unusable
+  function parseRegimeRule(rule, indicatorKeys) {
+    if (!rule || typeof rule !== 'object') throw new Error('Rule must be an object');
+    if (!indicatorKeys.includes(rule.indicator)) throw new Error(`Unknown indicator in rule: ${rule.indicator}`);
+    if (!RULE_OPS[rule.op]) throw new Error(`Unknown rule operator: ${rule.op}`);
+    const numeric = rule.op === 'above' || rule.op === 'below';
+    if (numeric && !isFinite(Number(rule.value))) {
+      throw new Error(`Rule "${rule.indicator} ${rule.op}" needs a numeric threshold`);
+    }
+    return {
+      indicator: rule.indicator,
+      op: rule.op,
+      value: numeric ? Number(rule.value) : String(rule.value),
+      message: rule.message ? String(rule.message) : null
+    };
+  }
+
+  // alerts.json -> { indicators: [{ key, label, unit, status }], values, rules }
+  // `status` maps categorical values (e.g. 'Above') to a display class; `values` override the forecaster's.
+  function parseRegimeConfig(json) {
+    if (!json || typeof json !== 'object') throw new Error('Alert config must be a JSON object');
+    if (json.version !== REGIME_CONFIG_VERSION) {
+      throw new Error(`Unsupported alert config version: ${json.version} (expected ${REGIME_CONFIG_VERSION})`);
+    }
+    if (!Array.isArray(json.indicators) || json.indicators.length === 0) {
+      throw new Error('Alert config has no indicators');
+    }
+
+    const indicators = json.indicators.map(ind => {
+      if (!ind || !ind.key) throw new Error('Indicator is missing its key');
+      return {
+        key: String(ind.key),
+        label: ind.label ? String(ind.label) : String(ind.key),
+        unit: ind.unit ? String(ind.unit) : '',
+        status: Object.assign({}, ind.status)
+      };
+    });
+    const keys = indicators.map(ind => ind.key);
+
+    return {
+      indicators: indicators,
+      values: Object.assign({}, json.values),
+      rules: (json.rules || []).map(rule => parseRegimeRule(rule, keys))
+    };
+  }
+
+  // Human-readable rule, e.g. "BTC.D above 50"
+  function describeRule(rule, indicators) {
+    const indicator = indicators.find(ind => ind.key === rule.indicator);
+    return `${indicator ? indicator.label : rule.indicator} ${RULE_OPS[rule.op]} ${rule.value}`;
+  }
+
+  // Rules whose condition holds for the current indicator values; missing values never trigger
+  function evaluateRegimeRules(values, rules) {
+    return rules.filter(rule => {
+      const value = values[rule.indicator];
+      if (value === null || value === undefined || value === '') return false;
+      const text = String(value).toLowerCase();
+      switch (rule.op) {
+        case 'above': return isFinite(Number(value)) && Number(value) > rule.value;
+        case 'below': return isFinite(Number(value)) && Number(value) < rule.value;
+        case 'is': return text === String(rule.value).toLowerCase();
+        case 'isNot': return text !== String(rule.value).toLowerCase();
+        default: return false;
+      }
+    });
+  }
+
+  return {
+    MONTHS,
+    QUARTERS,
+    isPresent,
+    ordinal,
+    mean,
+    median,
+    stdDev,
+    compound,
+    percentile,
+    seededRandom,
+    trimmedMean,
+    winsorizedMean,
+    geometricMean,
+    ESTIMATORS,
+    estimate,
+    estimatorLabel,
+    monthValues,
+    computeMonthStatistics,
+    normalizeAsset,
+    buildModel,
+    getAvailableYears,
+    filterYears,
+    selectYears,
+    denominate,
+    commonYears,
+    findStreaks,
+    currentStreak,
+    yearExtremes,
+    computeKeyStatistics,
+    monthEstimates,
+    computeInsights,
+    completeYearReturns,
+    phaseSummaries,
+    wilsonInterval,
+    bootstrapInterval,
+    monthConfidence,
+    computeQuarterlyData,
+    computeMonthOutlook,
+    latestMonth,
+    monthCloseSummary,
+    runBacktest,
+    halvingAlignedPaths,
+    extendHalvings,
+    CYCLE_PHASES,
+    parseCycleModel,
+    parseCycleModels,
+    buildCyclePhases,
+    underwaterCurve,
+    drawdownEpisodes,
+    yearMaxDrawdowns,
+    FAN_PERCENTILES,
+    projectRestOfYear,
+    cumulativeReturns,
+    computeCycleAverage,
+    pearson,
+    spearman,
+    pairedReturns,
+    correlationMatrix,
+    validateRawData,
+    parseCsv,
+    formatCsv,
+    colorScaleBounds,
+    scalePosition,
+    parseMonth,
+    parsePriceCsv,
+    parsePriceJson,
+    buildRawAssetFromPrices,
+    buildRawDataFromPrices,
+    buildRawDataFromReturns,
+    parseAssetFile,
+    parseForecastJson,
+    parseForecastCsv,
+    RULE_OPS,
+    parseRegimeRule,
+    parseRegimeConfig,
+    describeRule,
+    evaluateRegimeRules
+  };
+});
@@ -7,44 +7,73 @@
 let data = null;
 let rawData = null;
 let currentAsset = 'BTC';
+let quoteAsset = null; // Asset the current asset is priced in (null = USD)
 let charts = {};
 let comparisonYear1 = 2021;
 let comparisonYear2 = 2024;
 let showVolatility = false;
 let yoyShowVolatility = false; // YoY comparison volatility toggle
-let useMedian = false;
+let yoyCumulative = false; // YoY comparison as compounded year-to-date returns instead of monthly returns
+let statEstimator = 'mean'; // Central-tendency estimator (see TBTAnalytics.ESTIMATORS)
+let trimPercent = 10; // Tail % cut by the trimmed/winsorized estimators
 let selectedCycleType = null; // For cycle overlay buttons
 let highlightedCycle = null; // For heatmap row highlighting
 let highlightedYear = null; // For heatmap single year highlighting
-let forecastData = null; // TBT Forecaster data
-
-// Market cycle phases by year - FIXED: 2026 is Bottom year
-const marketCycles = {
-  2011: '',      // Pre-cycle
-  2012: '',      // Pre-cycle
-  2013: 'Top',
-  2014: 'Bottom',
-  2015: 'Recovery',
-  2016: 'Rally',
-  2017: 'Top',
-  2018: 'Bottom',
-  2019: 'Recovery',
-  2020: 'Rally',
-  2021: 'Top',
-  2022: 'Bottom',
-  2023: 'Recovery',
-  2024: 'Rally',
-  2025: 'Top',
-  2026: 'Bottom'
-};
+let colorPalette = 'redGreen'; // Heatmap palette (see colorPalettes)
+let colorBounds = { min: -60, max: 80 }; // Fixed saturation bounds in %; the scale is linear from 0 to each bound
+let colorBoundsAuto = false; // Derive the bounds from percentiles of the visible values instead
+let heatmapFocus = { row: 1, col: 2 }; // Heatmap cell holding the keyboard tab stop (row/column in the grid)
+let yearRangeFrom = null; // Global year range filter (null = open ended)
+let yearRangeTo = null;
+let phaseFilter = null; // Cycle phase the statistics, seasonality, win-rate, quarterly and insight views are limited to
+let overlayAssets = ['BTC', 'ETH']; // Assets shown in the multi-asset seasonality overlay
+let overlayShowWinRate = false; // Overlay metric: estimator return or win rate
+let overlayUseLines = false; // Overlay style: grouped bars or lines
+let correlationMethod = 'pearson'; // 'pearson' or 'spearman'
+let correlationPhase = null; // Restrict correlation to one cycle phase (null = all years)
+let projectionByPhase = false; // Resample the rest-of-year projection from same-phase years only
+let backtestRule = null; // Seasonal strategy settings (see TBTAnalytics.runBacktest)
+let forecastMonth = new Date().getMonth() + 1; // Month the historical performance table covers
+let forecastByPhase = false; // Restrict that table to years in the current cycle phase
+let forecastData = null; // TBT Forecaster data ({ asOf: { year, month }, assets, alerts })
+let forecastError = null; // Message from the last failed forecast import
+let regimeConfig = null; // Regime indicator definitions and default threshold rules (alerts.json)
+let regimeRules = []; // Active threshold rules; user edits are kept in localStorage
+let cycleModels = []; // Available cycle phase models (see TBTAnalytics.parseCycleModel)
+let cycleModelId = 'calendar'; // Model marketCycles and cycleGroups are built from
+let dataIssues = []; // Problems found while loading data, shown in the Data Issues panel
+let customAssetKeys = []; // Assets added from user files, kept in localStorage
+let customAssetError = null; // Message from the last failed custom asset change
+let exportStatusTimer = null; // Hides the export failure notice
 
-// Cycle groupings for YoY comparison
-const cycleGroups = {
-  'Top': [2013, 2017, 2021, 2025],
-  'Bottom': [2014, 2018, 2022, 2026],
-  'Recovery': [2015, 2019, 2023],
-  'Rally': [2016, 2020, 2024]
-};
+// Optional monthly candle exports (asset,date,open,high,low,close), loaded if present
+const priceDataFiles = ['prices.json', 'prices.csv'];
+
+// TBT Forecaster export; the first file that loads wins
+const forecastFiles = ['forecast.json', 'forecast.csv'];
+
+// Regime panel indicators and threshold rules
+const regimeConfigFile = 'alerts.json';
+const regimeRulesStorageKey = 'tbt.regimeRules';
+
+// User-supplied assets (data.json entries) and the names they may use
+const customAssetsStorageKey = 'tbt.customAssets';
+const customAssetKeyPattern = /^[A-Za-z0-9][A-Za-z0-9._-]{0,11}$/;
+
+// Default backtest: hold months that closed green in at least 60% of prior years
+const defaultBacktestRule = { select: 'winRate', threshold: 60, months: [], phases: [], skipAfterRed: 0, minHistory: 3 };
+
+// Cycle phase models; cycles.json can add more (e.g. an explicit phase table)
+const cycleConfigFile = 'cycles.json';
+const builtInCycleModels = [
+  { id: 'calendar', label: 'Calendar cycle', type: 'sequence', anchorYear: 2013, startYear: 2013, sequence: ['Top', 'Bottom', 'Recovery', 'Rally'] },
+  { id: 'halving', label: 'Halving cycle', type: 'halving', sequence: ['Rally', 'Top', 'Bottom', 'Recovery'] }
+];
+const defaultCycleModel = 'calendar';
+
+// Market cycle phase by year and the years in each phase, generated from the selected model
+let marketCycles = {};
+let cycleGroups = {};
 
 // Cycle colors for chart
 const cycleColors = {
@@ -54,63 +83,59 @@ const cycleColors = {
   'Rally': '#00d2d3'
 };
 
+// Asset colors for multi-asset charts (assigned by load order)
+const assetColors = ['#f7931a', '#627eea', '#0DCAB1', '#00CC00', '#ff4757', '#ffa502', '#a55eea', '#00d2d3'];
+
+// Heatmap palettes: each side ramps from `from` just off 0% to `to` at the scale bound
+const colorPalettes = {
+  redGreen: {
+    label: 'Red / green',
+    negative: { from: [255, 200, 200], to: [255, 50, 50] },
+    positive: { from: [50, 180, 50], to: [0, 255, 0] },
+    zero: 'rgba(255, 255, 255, 0.3)'
+  },
+  blueOrange: {
+    label: 'Blue / orange (colour-blind safe)',
+    negative: { from: [253, 204, 138], to: [230, 97, 1] },
+    positive: { from: [146, 197, 222], to: [5, 113, 176] },
+    zero: 'rgba(255, 255, 255, 0.3)'
+  },
+  diverging: {
+    label: 'Diverging (perceptual)',
+    negative: { from: [78, 74, 88], to: [232, 108, 84] },
+    positive: { from: [78, 74, 88], to: [86, 172, 224] },
+    zero: 'rgba(78, 74, 88, 0.85)'
+  }
+};
+const defaultColorBounds = { min: -60, max: 80 };
+const autoColorTail = 5; // Percentile cut on each side for auto bounds
+
 // Color functions
-function getReturnColor(value, isVolatility = false, yearMax = null) {
+function rampColor(ramp, t) {
+  const rgb = ramp.from.map((channel, idx) => Math.round(channel + (ramp.to[idx] - channel) * t));
+  return `rgba(${rgb.join(', ')}, 0.85)`;
+}
+
+// Active heatmap scale: the palette plus saturation bounds, fixed or from the visible values' percentiles
+function getColorScale() {
+  let bounds = colorBounds;
+  if (colorBoundsAuto) {
+    const assetData = getActiveAssetData();
+    const dataSource = showVolatility ? assetData.volatilityData : assetData.data;
+    const values = getActiveYears().flatMap(year => Object.values(dataSource[year] || {}));
+    bounds = TBTAnalytics.colorScaleBounds(values, autoColorTail) || colorBounds;
+  }
+  return { palette: colorPalettes[colorPalette], min: bounds.min, max: bounds.max, auto: colorBoundsAuto };
+}
+
+function getReturnColor(value, scale) {
   if (value === null || value === undefined) {
     return 'rgba(255, 255, 255, 0.05)';
   }
+  if (value === 0) return scale.palette.zero;
   
-  if (isVolatility && yearMax !== null) {
-    // Per-year volatility scaling
-    const absValue = Math.abs(value);
-    const normalized = yearMax > 0 ? Math.min(1, absValue / yearMax) : 0;
-    
-    if (value >= 0) {
-      // Green months (low-to-high) - shown as green intensity
-      const r = Math.round(50 - normalized * 50);
-      const g = Math.round(120 + normalized * 135);
-      const b = Math.round(50 - normalized * 50);
-      return `rgba(${r}, ${g}, ${b}, 0.85)`;
-    } else {
-      // Red months (high-to-low) - shown as red intensity
-      const r = 255;
-      const g = Math.round(100 + (1 - normalized) * 100);
-      const b = Math.round(100 + (1 - normalized) * 100);
-      return `rgba(${r}, ${g}, ${b}, 0.85)`;
-    }
-  }
-  
-  if (isVolatility) {
-    // Fallback for absolute volatility (if yearMax not provided)
-    const absValue = Math.abs(value);
-    const maxVol = 200;
-    const normalized = Math.min(1, absValue / maxVol);
-    
-    if (absValue < 30) {
-      const intensity = (30 - absValue) / 30;
-      return `rgba(${50 - intensity * 50}, ${180 + intensity * 75}, ${50 - intensity * 50}, 0.85)`;
-    } else {
-      const intensity = Math.min(1, (absValue - 30) / 170);
-      return `rgba(255, ${50 + (1 - intensity) * 150}, ${50 + (1 - intensity) * 150}, 0.85)`;
-    }
-  }
-  
-  // For returns
-  if (value < 0) {
-    const intensity = Math.min(1, Math.abs(value) / 60);
-    const r = 255;
-    const g = Math.round(50 + (1 - intensity) * 150);
-    const b = Math.round(50 + (1 - intensity) * 150);
-    return `rgba(${r}, ${g}, ${b}, 0.85)`;
-  } else if (value > 0) {
-    const intensity = Math.min(1, value / 80);
-    const r = Math.round(50 - intensity * 50);
-    const g = Math.round(180 + intensity * 75);
-    const b = Math.round(50 - intensity * 50);
-    return `rgba(${r}, ${g}, ${b}, 0.85)`;
-  } else {
-    return 'rgba(255, 255, 255, 0.3)';
-  }
+  const position = TBTAnalytics.scalePosition(value, scale);
+  return rampColor(value < 0 ? scale.palette.negative : scale.palette.positive, Math.abs(position));
 }
 
 function getTextColor(value) {
@@ -119,6 +144,15 @@ function getTextColor(value) {
   return absVal > 30 ? '#fff' : 'rgba(255, 255, 255, 0.9)';
 }
 
+// Escape text from data files before putting it into innerHTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // Format number as whole number
 function formatValue(value) {
   if (value === null || value === undefined) return '—';
@@ -129,128 +163,97 @@ function formatValue(value) {
 async function init() {
   try {
     const response = await fetch('data.json');
+    if (!response.ok) throw new Error(`data.json could not be loaded (HTTP ${response.status})`);
     rawData = await response.json();
     
-    // Transform array format to object format
-    data = {
-      assets: {},
-      months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
-      halvings: [
-        { year: 2012, month: 11, label: '1st Halving', block: 210000, reward: '25 BTC', prevReward: '50 BTC', monthsToTop: 12 },
-        { year: 2016, month: 7, label: '2nd Halving', block: 420000, reward: '12.5 BTC', prevReward: '25 BTC', monthsToTop: 17 },
-        { year: 2020, month: 5, label: '3rd Halving', block: 630000, reward: '6.25 BTC', prevReward: '12.5 BTC', monthsToTop: 18 },
-        { year: 2024, month: 4, label: '4th Halving', block: 840000, reward: '3.125 BTC', prevReward: '6.25 BTC', monthsToTop: 18 },
-        { year: 2028, month: 4, label: '5th Halving', block: 1050000, reward: '1.5625 BTC', prevReward: '3.125 BTC', projected: true, monthsToTop: 18, monthsToTopProjected: true }
-      ]
-    };
+    // Validate before building; bad entries are reported rather than silently dropped
+    dataIssues = TBTAnalytics.validateRawData(rawData);
+    if (!rawData || !Array.isArray(rawData.assets)) rawData = { assets: [] };
     
-    rawData.assets.forEach(asset => {
-      const assetKey = asset.asset;
-      
-      // Build data object keyed by year, with months keyed 1-12
-      const yearData = {};
-      const volatilityData = {};
-      const greenRedData = {};
-      
-      // Get unique years with returns data (filter out duplicates)
-      const seenYears = new Set();
-      asset.years.forEach(y => {
-        if (!seenYears.has(y.year) && y.green !== null) {
-          seenYears.add(y.year);
-          yearData[y.year] = {};
-          y.returns.forEach((val, idx) => {
-            yearData[y.year][idx + 1] = val;
-          });
-          greenRedData[y.year] = { green: y.green, red: y.red };
-        }
-      });
-      
-      // Build volatility data
-      if (asset.volatility) {
-        const seenVolYears = new Set();
-        asset.volatility.forEach(v => {
-          if (!seenVolYears.has(v.year) && v.volatility) {
-            seenVolYears.add(v.year);
-            volatilityData[v.year] = {};
-            v.volatility.forEach((val, idx) => {
-              volatilityData[v.year][idx + 1] = val;
-            });
-          }
+    // Assets derived from exported price candles replace their data.json entries
+    const priceAssets = await loadPriceAssets();
+    dataIssues.push(...TBTAnalytics.validateRawData({ assets: priceAssets }));
+    priceAssets.forEach(priceAsset => {
+      const idx = rawData.assets.findIndex(a => a.asset === priceAsset.asset);
+      if (idx >= 0) {
+        rawData.assets[idx] = priceAsset;
+      } else {
+        rawData.assets.push(priceAsset);
+      }
+    });
+    
+    // Assets saved from user files never replace the built-in ones; unreadable entries are skipped
+    loadCustomAssets().forEach(asset => {
+      const key = asset && typeof asset.asset === 'string' ? asset.asset : null;
+      const error = key === null || !customAssetKeyPattern.test(key)
+        ? { message: 'Name is not a valid asset name' }
+        : TBTAnalytics.validateRawData({ assets: [asset] }).find(issue => issue.severity === 'error');
+      if (error) {
+        dataIssues.push({
+          severity: 'error',
+          asset: key,
+          year: null,
+          month: null,
+          rule: 'custom-asset',
+          message: `Saved custom asset is skipped: ${error.message}`
         });
+        return;
       }
-      
-      // Build statistics per month
-      const statistics = {};
-      for (let m = 1; m <= 12; m++) {
-        const monthValues = Object.values(yearData).map(y => y[m]).filter(v => v !== null && v !== undefined);
-        const wins = monthValues.filter(v => v > 0).length;
-        const avg = monthValues.length > 0 ? monthValues.reduce((a, b) => a + b, 0) / monthValues.length : 0;
-        const sorted = [...monthValues].sort((a, b) => a - b);
-        const median = sorted.length > 0 ? (sorted.length % 2 === 0 
-          ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2 
-          : sorted[Math.floor(sorted.length / 2)]) : 0;
-        
-        // Calculate standard deviation for volatility
-        const mean = avg;
-        const squaredDiffs = monthValues.map(v => Math.pow(v - mean, 2));
-        const avgSquaredDiff = squaredDiffs.length > 0 ? squaredDiffs.reduce((a, b) => a + b, 0) / squaredDiffs.length : 0;
-        const stdDev = Math.sqrt(avgSquaredDiff);
-        
-        // Calculate volatility for this month
-        const volValues = Object.values(volatilityData).map(y => y[m]).filter(v => v !== null && v !== undefined);
-        const avgVol = volValues.length > 0 ? volValues.reduce((a, b) => Math.abs(a) + Math.abs(b), 0) / volValues.length : 0;
-        
-        statistics[m] = {
-          average: Math.round(avg * 100) / 100,
-          median: Math.round(median * 100) / 100,
-          win_rate: monthValues.length > 0 ? Math.round((wins / monthValues.length) * 100) : 0,
-          volatility: Math.round(avgVol * 100) / 100,
-          stdDev: Math.round(stdDev * 100) / 100,
-          count: monthValues.length
-        };
+      if (rawData.assets.some(a => a.asset === asset.asset)) {
+        dataIssues.push({
+          severity: 'warning',
+          asset: asset.asset,
+          year: null,
+          month: null,
+          rule: 'custom-asset',
+          message: 'A built-in asset has the same name; the saved custom asset is ignored'
+        });
+        return;
       }
-      
-      data.assets[assetKey] = {
-        name: assetKey,
-        data: yearData,
-        volatilityData: volatilityData,
-        greenRedData: greenRedData,
-        statistics: statistics,
-        average: asset.average || [],
-        median: asset.median || []
-      };
+      rawData.assets.push(asset);
+      customAssetKeys.push(asset.asset);
     });
     
+    // Transform array format to object format
+    data = TBTAnalytics.buildModel(rawData);
+    data.halvings = TBTAnalytics.extendHalvings([
+      { year: 2012, month: 11, label: '1st Halving', block: 210000, reward: '25 BTC', prevReward: '50 BTC', monthsToTop: 12 },
+      { year: 2016, month: 7, label: '2nd Halving', block: 420000, reward: '12.5 BTC', prevReward: '25 BTC', monthsToTop: 17 },
+      { year: 2020, month: 5, label: '3rd Halving', block: 630000, reward: '6.25 BTC', prevReward: '12.5 BTC', monthsToTop: 18 },
+      { year: 2024, month: 4, label: '4th Halving', block: 840000, reward: '3.125 BTC', prevReward: '6.25 BTC', monthsToTop: 18 },
+      { year: 2028, month: 4, label: '5th Halving', block: 1050000, reward: '1.5625 BTC', prevReward: '3.125 BTC', projected: true, monthsToTop: 18, monthsToTopProjected: true }
+    ], Math.max(...getAllYears(), new Date().getFullYear()));
+    
+    if (Object.keys(data.assets).length === 0) {
+      throw new Error('No usable assets found in data.json');
+    }
+    if (!data.assets[currentAsset]) currentAsset = Object.keys(data.assets)[0];
+    
+    cycleModels = builtInCycleModels.map(TBTAnalytics.parseCycleModel).concat(await loadCycleModels());
+    applyCycleModel();
+    
     // Set default comparison years based on available data
-    const years = getAvailableYears('BTC');
+    const years = getAvailableYears(currentAsset);
     comparisonYear1 = years[Math.max(0, years.length - 4)];
     comparisonYear2 = years[years.length - 2];
     
-    // Load TBT Forecaster data (embedded for now since we can't fetch Excel from browser)
-    forecastData = {
-      date: new Date().toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
-      assets: {
-        BTC: { monthlyClose: 12, monthlyVol: 27, quarterlyClose: 4 },
-        ETH: { monthlyClose: 15, monthlyVol: 54, quarterlyClose: 31 },
-        TOTAL2: { monthlyClose: 7, monthlyVol: 38, quarterlyClose: -4 },
-        TOTAL3: { monthlyClose: 4, monthlyVol: 26, quarterlyClose: 17 },
-        OTHERS: { monthlyClose: 6, monthlyVol: 39, quarterlyClose: 49 },
-        TOTALES: { monthlyClose: 13, monthlyVol: 29, quarterlyClose: 12 },
-        TOTALE50: { monthlyClose: 12, monthlyVol: 59, quarterlyClose: 43 },
-        TOTALE100: { monthlyClose: 15, monthlyVol: 62, quarterlyClose: 57 }
-      },
-      alerts: {
-        btcD: 46.47,
-        btcD200MA: 'Above',
-        btcusd200MA: 'Above',
-        trendStrength: 'Strong',
-        others200MA: 'Above',
-        bvol24: 4.21
-      }
-    };
+    // TBT Forecaster export (optional; it can also be imported from the forecast card)
+    forecastData = await loadForecast();
+    regimeConfig = await loadRegimeConfig();
+    regimeRules = loadRegimeRules();
     
+    // Restore view state from a shared link, if any
+    applyStateParams(readUrlParams());
+    history.replaceState(null, '', buildStateHash());
+    
+    renderDataIssues();
+    renderRegimePanel();
     renderAssetSelector();
-    renderForecastSection();
+    renderCustomAssets();
+    renderQuoteSelector();
+    renderYearRangeSelector();
+    renderCycleModelSelector();
+    syncToggleButtons();
     renderDashboard();
     setupEventListeners();
   } catch (error) {
@@ -261,17 +264,421 @@ async function init() {
           <p style="color: #ff4757; text-align: center;">
             Failed to load data. Please ensure data.json exists.
           </p>
+          <p class="data-issues-error">${escapeHtml(error.message)}</p>
+          ${dataIssues.length > 0 ? buildDataIssuesTable() : ''}
         </div>
       </div>
     `;
   }
 }
 
+// Load optional monthly price files and derive data.json-shaped assets from them
+async function loadPriceAssets() {
+  const assets = [];
+  
+  for (const file of priceDataFiles) {
+    try {
+      const response = await fetch(file);
+      if (!response.ok) continue; // Not provided
+      
+      const text = await response.text();
+      const series = file.endsWith('.csv')
+        ? TBTAnalytics.parsePriceCsv(text)
+        : TBTAnalytics.parsePriceJson(JSON.parse(text));
+      assets.push(...TBTAnalytics.buildRawDataFromPrices(series).assets);
+    } catch (error) {
+      console.error(`Failed to load prices from ${file}:`, error);
+      dataIssues.push({
+        severity: 'error',
+        asset: null,
+        year: null,
+        month: null,
+        rule: 'price-file',
+        message: `${file}: ${error.message}`
+      });
+    }
+  }
+  
+  return assets;
+}
+
+function parseForecastFile(name, text) {
+  return name.toLowerCase().endsWith('.csv')
+    ? TBTAnalytics.parseForecastCsv(text)
+    : TBTAnalytics.parseForecastJson(JSON.parse(text));
+}
+
+async function loadForecast() {
+  for (const file of forecastFiles) {
+    try {
+      const response = await fetch(file);
+      if (!response.ok) continue; // Not provided
+      return parseForecastFile(file, await response.text());
+    } catch (error) {
+      console.error(`Failed to load forecast from ${file}:`, error);
+      dataIssues.push({
+        severity: 'error',
+        asset: null,
+        year: null,
+        month: null,
+        rule: 'forecast-file',
+        message: `${file}: ${error.message}`
+      });
+    }
+  }
+  return null;
+}
+
+async function loadRegimeConfig() {
+  try {
+    const response = await fetch(regimeConfigFile);
+    if (!response.ok) return null; // Not provided
+    return TBTAnalytics.parseRegimeConfig(await response.json());
+  } catch (error) {
+    console.error(`Failed to load alert rules from ${regimeConfigFile}:`, error);
+    dataIssues.push({
+      severity: 'error',
+      asset: null,
+      year: null,
+      month: null,
+      rule: 'alerts-file',
+      message: `${regimeConfigFile}: ${error.message}`
+    });
+    return null;
+  }
+}
+
+// Extra cycle models from cycles.json; a broken file is reported and the built-in models still work
+async function loadCycleModels() {
+  try {
+    const response = await fetch(cycleConfigFile);
+    if (!response.ok) return []; // Not provided
+    const models = TBTAnalytics.parseCycleModels(await response.json());
+    return models.filter(model => !builtInCycleModels.some(builtIn => builtIn.id === model.id));
+  } catch (error) {
+    console.error(`Failed to load cycle models from ${cycleConfigFile}:`, error);
+    dataIssues.push({
+      severity: 'error',
+      asset: null,
+      year: null,
+      month: null,
+      rule: 'cycles-file',
+      message: `${cycleConfigFile}: ${error.message}`
+    });
+    return [];
+  }
+}
+
+// Saved rules win over the defaults in alerts.json, unless they no longer fit its indicators
+function loadRegimeRules() {
+  const defaults = regimeConfig ? regimeConfig.rules : [];
+  try {
+    const saved = JSON.parse(localStorage.getItem(regimeRulesStorageKey));
+    if (!Array.isArray(saved)) return defaults;
+    const keys = getRegimeIndicators().map(ind => ind.key);
+    return saved.map(rule => TBTAnalytics.parseRegimeRule(rule, keys));
+  } catch (error) {
+    return defaults;
+  }
+}
+
+function saveRegimeRules() {
+  try {
+    localStorage.setItem(regimeRulesStorageKey, JSON.stringify(regimeRules));
+  } catch (error) {
+    console.error('Failed to save alert rules:', error);
+  }
+}
+
+function loadCustomAssets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(customAssetsStorageKey));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function saveCustomAssets() {
+  try {
+    const assets = rawData.assets.filter(asset => customAssetKeys.includes(asset.asset));
+    localStorage.setItem(customAssetsStorageKey, JSON.stringify(assets));
+  } catch (error) {
+    console.error('Failed to save custom assets:', error);
+    customAssetError = 'Could not save in this browser; custom assets are kept until the page is reloaded';
+  }
+}
+
+// Custom asset names are short tickers that can't take a built-in asset's name;
+// a rename (currentKey given) can't take any other existing name either
+function checkCustomAssetKey(key, currentKey) {
+  if (!customAssetKeyPattern.test(key)) {
+    throw new Error(`"${key}" is not a valid name: use up to 12 letters, digits, ".", "_" or "-"`);
+  }
+  if (key === currentKey || !data.assets[key]) return;
+  if (!customAssetKeys.includes(key)) throw new Error(`${key} is a built-in asset; pick another name`);
+  if (currentKey !== undefined) throw new Error(`${key} already exists`);
+}
+
+// Validate data.json-shaped assets from a user file and add them (same-name custom assets are replaced)
+function addCustomAssets(assets) {
+  if (assets.length === 0) throw new Error('File has no assets');
+  const errors = TBTAnalytics.validateRawData({ assets }).filter(issue => issue.severity === 'error');
+  if (errors.length > 0) {
+    const first = errors[0];
+    const where = [first.asset, first.year, first.month ? data.months[first.month - 1] : null].filter(Boolean).join(' ');
+    throw new Error(`${where}: ${first.message}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`);
+  }
+  assets.forEach(asset => {
+    checkCustomAssetKey(asset.asset);
+    if (!asset.years.some(y => Array.isArray(y.returns) && y.returns.some(TBTAnalytics.isPresent))) {
+      throw new Error(`${asset.asset}: no monthly returns found`);
+    }
+  });
+  
+  const keys = assets.map(asset => asset.asset);
+  changeCustomAssets(() => {
+    rawData.assets = rawData.assets.filter(asset => !keys.includes(asset.asset)).concat(assets);
+    customAssetKeys = customAssetKeys.filter(key => !keys.includes(key)).concat(keys);
+    currentAsset = keys[0];
+    if (quoteAsset === currentAsset) quoteAsset = null;
+  });
+}
+
+function renameCustomAsset(key, newKey) {
+  if (newKey === key) return;
+  checkCustomAssetKey(newKey, key);
+  changeCustomAssets(() => {
+    rawData.assets = rawData.assets.map(asset => (asset.asset === key ? Object.assign({}, asset, { asset: newKey }) : asset));
+    customAssetKeys = customAssetKeys.map(k => (k === key ? newKey : k));
+    if (currentAsset === key) currentAsset = newKey;
+    if (quoteAsset === key) quoteAsset = newKey;
+    overlayAssets = overlayAssets.map(k => (k === key ? newKey : k));
+  });
+}
+
+function removeCustomAsset(key) {
+  changeCustomAssets(() => {
+    rawData.assets = rawData.assets.filter(asset => asset.asset !== key);
+    customAssetKeys = customAssetKeys.filter(k => k !== key);
+    overlayAssets = overlayAssets.filter(k => k !== key);
+    if (quoteAsset === key) quoteAsset = null;
+    if (currentAsset === key) {
+      currentAsset = Object.keys(data.assets).find(k => k !== key);
+      selectedCycleType = null;
+      if (quoteAsset === currentAsset) quoteAsset = null;
+    }
+  });
+}
+
+// Apply a custom asset change and re-render. Only a change that renders is saved;
+// if rendering throws, the previous assets and view are restored and the error rethrown.
+function changeCustomAssets(change) {
+  const previous = {
+    assets: rawData.assets,
+    keys: customAssetKeys,
+    currentAsset: currentAsset,
+    quoteAsset: quoteAsset,
+    overlayAssets: overlayAssets,
+    selectedCycleType: selectedCycleType,
+    showVolatility: showVolatility,
+    yoyShowVolatility: yoyShowVolatility
+  };
+  try {
+    change();
+    renderCustomAssetChange();
+  } catch (error) {
+    rawData.assets = previous.assets;
+    customAssetKeys = previous.keys;
+    currentAsset = previous.currentAsset;
+    quoteAsset = previous.quoteAsset;
+    overlayAssets = previous.overlayAssets;
+    selectedCycleType = previous.selectedCycleType;
+    showVolatility = previous.showVolatility;
+    yoyShowVolatility = previous.yoyShowVolatility;
+    renderCustomAssetChange();
+    throw error;
+  }
+  
+  customAssetError = null;
+  saveCustomAssets();
+  renderCustomAssets();
+  pushUrlState();
+}
+
+// Rebuild the asset models and everything listing assets or years
+function renderCustomAssetChange() {
+  data.assets = TBTAnalytics.buildModel(rawData).assets;
+  applyCycleModel();
+  if (getVolatilityUnavailableReason()) {
+    showVolatility = false;
+    yoyShowVolatility = false;
+  }
+  
+  renderAssetSelector();
+  renderQuoteSelector();
+  renderYearRangeSelector();
+  syncToggleButtons();
+  renderDashboard();
+}
+
+// { year, month } -> "Feb 2026"
+function formatMonthLabel({ year, month }) {
+  return new Date(year, month - 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+}
+
 function getAvailableYears(asset) {
-  const assetData = data.assets[asset];
-  return Object.keys(assetData.data)
-    .map(Number)
-    .sort((a, b) => a - b);
+  return TBTAnalytics.getAvailableYears(data.assets[asset]);
+}
+
+// Why the volatility views are unavailable for the current asset, or null when they work.
+// Synthetic pairs and assets imported from return-only files have no volatility series.
+function getVolatilityUnavailableReason() {
+  if (quoteAsset) return 'No volatility data for a priced-in series';
+  if (Object.keys(data.assets[currentAsset].volatilityData).length === 0) return `No volatility data for ${currentAsset}`;
+  return null;
+}
+
+// Current asset priced in the quote asset (or USD), before any year filtering
+function getBaseAssetData() {
+  const assetData = data.assets[currentAsset];
+  return quoteAsset ? TBTAnalytics.denominate(assetData, data.assets[quoteAsset]) : assetData;
+}
+
+// Current asset restricted to the selected year range.
+// Falls back to every year when the range doesn't overlap this asset's data.
+function getActiveAssetData() {
+  const assetData = getBaseAssetData();
+  const filtered = TBTAnalytics.filterYears(assetData, yearRangeFrom, yearRangeTo);
+  return TBTAnalytics.getAvailableYears(filtered).length > 0 ? filtered : assetData;
+}
+
+// Active asset data narrowed to the phase filter, for the per-month statistic views.
+// Falls back to the active data when the phase has no years in range.
+function getPhaseAssetData() {
+  const assetData = getActiveAssetData();
+  if (!phaseFilter) return assetData;
+  const filtered = TBTAnalytics.selectYears(assetData, cycleGroups[phaseFilter]);
+  return TBTAnalytics.getAvailableYears(filtered).length > 0 ? filtered : assetData;
+}
+
+function getActiveYears() {
+  return TBTAnalytics.getAvailableYears(getActiveAssetData());
+}
+
+// Every year present in any loaded asset
+function getAllYears() {
+  const years = new Set();
+  Object.values(data.assets).forEach(asset => {
+    TBTAnalytics.getAvailableYears(asset).forEach(y => years.add(y));
+  });
+  return [...years].sort((a, b) => a - b);
+}
+
+// Rebuild marketCycles and cycleGroups from the selected model, covering every data year plus one more cycle
+function applyCycleModel() {
+  const model = cycleModels.find(m => m.id === cycleModelId) || cycleModels[0];
+  const years = getAllYears();
+  const lastYear = Math.max(years[years.length - 1], new Date().getFullYear()) + 4;
+  const cycles = TBTAnalytics.buildCyclePhases(model, years[0], lastYear, data.halvings);
+  marketCycles = cycles.phases;
+  cycleGroups = cycles.groups;
+}
+
+// Collapsible list of validation problems; hidden when the data is clean
+function renderDataIssues() {
+  const container = document.getElementById('dataIssues');
+  if (!container) return;
+  
+  container.hidden = dataIssues.length === 0;
+  if (dataIssues.length === 0) return;
+  
+  const errorCount = dataIssues.filter(i => i.severity === 'error').length;
+  const warningCount = dataIssues.length - errorCount;
+  
+  container.innerHTML = `
+    <details class="data-issues">
+      <summary class="card-header">
+        <h2>Data Issues</h2>
+        <span class="data-issues-count">
+          ${errorCount} error${errorCount === 1 ? '' : 's'} · ${warningCount} warning${warningCount === 1 ? '' : 's'}
+        </span>
+      </summary>
+      <div class="card-body">
+        ${buildDataIssuesTable()}
+      </div>
+    </details>
+  `;
+}
+
+function buildDataIssuesTable() {
+  const rows = dataIssues.map(issue => `
+    <tr class="issue-${issue.severity}">
+      <td>${issue.severity}</td>
+      <td>${issue.asset !== null ? escapeHtml(issue.asset) : '—'}</td>
+      <td>${issue.year !== null && issue.year !== undefined ? escapeHtml(issue.year) : '—'}</td>
+      <td>${issue.month ? data?.months?.[issue.month - 1] || issue.month : '—'}</td>
+      <td><code>${issue.rule}</code></td>
+      <td class="issue-message">${escapeHtml(issue.message)}</td>
+    </tr>
+  `).join('');
+  
+  return `
+    <table class="data-issues-table">
+      <thead>
+        <tr>
+          <th>Severity</th>
+          <th>Asset</th>
+          <th>Year</th>
+          <th>Month</th>
+          <th>Rule</th>
+          <th>Problem</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function renderYearRangeSelector() {
+  const years = getAllYears();
+  const from = yearRangeFrom !== null ? yearRangeFrom : years[0];
+  const to = yearRangeTo !== null ? yearRangeTo : years[years.length - 1];
+  
+  document.getElementById('rangeFromSelect').innerHTML = years.map(y =>
+    `<option value="${y}" ${y === from ? 'selected' : ''}>${y}</option>`
+  ).join('');
+  document.getElementById('rangeToSelect').innerHTML = years.map(y =>
+    `<option value="${y}" ${y === to ? 'selected' : ''}>${y}</option>`
+  ).join('');
+  document.getElementById('rangeReset').disabled = yearRangeFrom === null && yearRangeTo === null;
+  document.getElementById('phaseFilterSelect').value = phaseFilter || '';
+}
+
+function renderCycleModelSelector() {
+  document.getElementById('cycleModelSelect').innerHTML = cycleModels.map(model =>
+    `<option value="${model.id}" ${model.id === cycleModelId ? 'selected' : ''}>${model.label}</option>`
+  ).join('');
+}
+
+// Phase the filtered views are limited to, or null when the filter matches no year in range
+function getActivePhase() {
+  if (!phaseFilter) return null;
+  return getActiveYears().some(y => cycleGroups[phaseFilter].includes(y)) ? phaseFilter : null;
+}
+
+// "2015–2026", plus the phase when the view is limited to one
+function getRangeLabel(assetData, phase) {
+  const years = TBTAnalytics.getAvailableYears(assetData);
+  return `${years[0]}–${years[years.length - 1]}${phase ? ` · ${phase} years` : ''}`;
+}
+
+// Show the years actually used by the filtered views in each card header
+function updateRangeBadges() {
+  const label = getRangeLabel(getPhaseAssetData(), getActivePhase());
+  document.querySelectorAll('.range-badge:not(.custom-range)').forEach(badge => {
+    badge.textContent = label;
+  });
 }
 
 function renderAssetSelector() {
@@ -281,51 +688,223 @@ function renderAssetSelector() {
   Object.keys(data.assets).forEach(key => {
     const btn = document.createElement('button');
     btn.className = `asset-btn ${key === currentAsset ? 'active' : ''}`;
+    btn.setAttribute('aria-pressed', key === currentAsset);
     btn.textContent = key;
     btn.dataset.asset = key;
     btn.title = data.assets[key].name;
+    if (customAssetKeys.includes(key)) {
+      btn.classList.add('custom-asset');
+      btn.title = `${data.assets[key].name} (added from your file)`;
+      btn.setAttribute('aria-label', `${key}, custom asset`);
+    }
     container.appendChild(btn);
   });
 }
 
+// "Add asset" panel: file import plus rename/remove for assets added earlier
+function renderCustomAssets() {
+  const container = document.getElementById('customAssets');
+  const wasOpen = !!container.querySelector('details[open]');
+  const list = customAssetKeys.map(key => `
+    <li>
+      <input type="text" class="year-select custom-asset-name" value="${key}" data-asset="${key}" maxlength="12" aria-label="Rename ${key}">
+      <button type="button" class="toggle-btn custom-asset-remove" data-asset="${key}">Remove</button>
+    </li>
+  `).join('');
+  
+  container.innerHTML = `
+    <details class="custom-assets-panel" ${wasOpen || customAssetError ? 'open' : ''}>
+      <summary class="toggle-btn">＋ Add asset</summary>
+      <form class="regime-rule-form" id="customAssetForm">
+        <input type="text" name="key" class="year-select" maxlength="12" placeholder="Name, e.g. SOL" aria-label="Asset name">
+        <input type="file" name="file" accept=".csv,.json" aria-label="Asset file" required>
+        <button type="submit" class="toggle-btn">Add</button>
+      </form>
+      <p class="custom-assets-help">
+        CSV or JSON with monthly closes (<code>date,close</code>), monthly % returns (<code>date,return</code>)
+        or data.json entries. Saved in this browser only.
+      </p>
+      <p class="regime-rule-error" role="alert">${customAssetError ? escapeHtml(customAssetError) : ''}</p>
+      ${list ? `<ul class="custom-asset-list">${list}</ul>` : ''}
+    </details>
+  `;
+}
+
+// "Priced in" options: USD plus every other asset
+function renderQuoteSelector() {
+  const options = Object.keys(data.assets).filter(key => key !== currentAsset);
+  document.getElementById('quoteSelect').innerHTML = ['<option value="">USD</option>']
+    .concat(options.map(key => `<option value="${key}" ${key === quoteAsset ? 'selected' : ''}>${key}</option>`))
+    .join('');
+}
+
+// Indicators from alerts.json, or the forecaster's raw alert keys when there is no config
+function getRegimeIndicators() {
+  if (regimeConfig) return regimeConfig.indicators;
+  return Object.keys(forecastData?.alerts || {}).map(key => ({ key: key, label: key, unit: '', status: {} }));
+}
+
+// Forecaster readings, overridden by any values pinned in alerts.json
+function getRegimeValues() {
+  return Object.assign({}, forecastData?.alerts, regimeConfig?.values);
+}
+
+function renderRegimePanel() {
+  const container = document.getElementById('regimeSection');
+  if (!container) return;
+  
+  const indicators = getRegimeIndicators();
+  container.hidden = indicators.length === 0;
+  if (container.hidden) return;
+  
+  const values = getRegimeValues();
+  const triggered = TBTAnalytics.evaluateRegimeRules(values, regimeRules);
+  
+  const items = indicators.map(ind => {
+    const value = values[ind.key];
+    const hasValue = value !== null && value !== undefined && value !== '';
+    const status = ind.status[value] || 'neutral';
+    const isTriggered = triggered.some(rule => rule.indicator === ind.key);
+    return `
+      <div class="alert-item ${isTriggered ? 'triggered' : ''}">
+        <span class="alert-label">${escapeHtml(ind.label)}</span>
+        <span class="alert-value ${status}">${hasValue ? escapeHtml(value + ind.unit) : '—'}</span>
+      </div>
+    `;
+  }).join('');
+  
+  const warnings = triggered.map(rule =>
+    `<li>⚠️ ${escapeHtml(rule.message || TBTAnalytics.describeRule(rule, indicators))}</li>`
+  ).join('');
+  
+  const ruleItems = regimeRules.map((rule, idx) => `
+    <li class="regime-rule ${triggered.includes(rule) ? 'triggered' : ''}">
+      <span>${escapeHtml(TBTAnalytics.describeRule(rule, indicators))}</span>
+      <button class="regime-rule-remove" data-rule="${idx}" aria-label="Remove rule">✕</button>
+    </li>
+  `).join('');
+  
+  const indicatorOptions = indicators.map(ind =>
+    `<option value="${escapeHtml(ind.key)}">${escapeHtml(ind.label)}</option>`
+  ).join('');
+  const opOptions = Object.keys(TBTAnalytics.RULE_OPS).map(op =>
+    `<option value="${op}">${TBTAnalytics.RULE_OPS[op]}</option>`
+  ).join('');
+  
+  container.innerHTML = `
+    <div class="card-header">
+      <h2>Market Regime</h2>
+      <span class="forecast-month">${forecastData ? `As of ${formatMonthLabel(forecastData.asOf)}` : ''}</span>
+    </div>
+    <div class="card-body">
+      <div class="market-alerts">${items}</div>
+      ${warnings ? `<ul class="regime-warnings">${warnings}</ul>` : ''}
+      <details class="regime-rules">
+        <summary>Threshold rules (${regimeRules.length})</summary>
+        <ul class="regime-rule-list">${ruleItems}</ul>
+        <form class="regime-rule-form" id="regimeRuleForm">
+          <select name="indicator" class="year-select" aria-label="Indicator">${indicatorOptions}</select>
+          <select name="op" class="year-select" aria-label="Condition">${opOptions}</select>
+          <input name="value" class="year-select" aria-label="Threshold" placeholder="50" required>
+          <button type="submit" class="toggle-btn">Add Rule</button>
+          <button type="button" class="toggle-btn" id="regimeRulesReset">Reset to Defaults</button>
+          <span class="regime-rule-error" id="regimeRuleError"></span>
+        </form>
+      </details>
+    </div>
+  `;
+}
+
+// Cycle phase of the current calendar year (or the latest year with a phase)
+function getCurrentPhase() {
+  const year = new Date().getFullYear();
+  if (marketCycles[year]) return marketCycles[year];
+  const known = Object.keys(marketCycles).map(Number).filter(y => y <= year && marketCycles[y]);
+  return known.length > 0 ? marketCycles[Math.max(...known)] : null;
+}
+
 function renderForecastSection() {
   const container = document.getElementById('forecastSection');
-  if (!container || !forecastData) return;
+  if (!container) return;
   
-  const currentMonth = new Date().toLocaleDateString('en-US', { month: 'long' });
-  const assets = ['BTC', 'ETH', 'TOTAL2', 'TOTAL3', 'OTHERS', 'TOTALES', 'TOTALE50', 'TOTALE100'];
+  const now = new Date();
+  const currentMonth = now.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  const assets = Object.keys(data.assets);
+  const phase = forecastByPhase ? getCurrentPhase() : null;
+  
+  // Global year range, then the current cycle phase
+  const years = getAllYears().filter(y =>
+    (yearRangeFrom === null || y >= yearRangeFrom) &&
+    (yearRangeTo === null || y <= yearRangeTo) &&
+    (!phase || cycleGroups[phase].includes(y)));
+  const outlooks = assets.map(key => TBTAnalytics.computeMonthOutlook(data.assets[key], forecastMonth, years));
+  const nextQuarter = outlooks[0].nextQuarter.quarter;
+  
+  const monthOptions = data.months.map((name, idx) =>
+    `<option value="${idx + 1}" ${idx + 1 === forecastMonth ? 'selected' : ''}>${name}</option>`
+  ).join('');
+  const rangeLabel = years.length > 0
+    ? `${years[0]}–${years[years.length - 1]}${phase ? ` · ${phase} years` : ''}`
+    : 'No years';
   
-  // Build simple table
   const headerCells = assets.map(a => `<th>${a}</th>`).join('');
   
-  const monthlyRow = assets.map(a => {
-    const fd = forecastData.assets[a];
-    if (!fd) return '<td>—</td>';
-    const val = fd.monthlyClose;
-    const cls = val >= 0 ? 'positive' : 'negative';
-    return `<td class="${cls}">${val}%</td>`;
-  }).join('');
-  
-  const volRow = assets.map(a => {
-    const fd = forecastData.assets[a];
-    if (!fd) return '<td>—</td>';
-    return `<td>${fd.monthlyVol}%</td>`;
+  const buildRow = (field, signed) => outlooks.map(outlook => {
+    const { value, count } = outlook[field];
+    if (value === null) return '<td>—</td>';
+    const cls = signed ? (value >= 0 ? 'positive' : 'negative') : '';
+    return `<td class="${cls}">${formatValue(value)}%<span class="forecast-count">n=${count}</span></td>`;
   }).join('');
   
-  const quarterlyRow = assets.map(a => {
-    const fd = forecastData.assets[a];
-    if (!fd) return '<td>—</td>';
-    const val = fd.quarterlyClose;
-    const cls = val >= 0 ? 'positive' : 'negative';
-    return `<td class="${cls}">${val}%</td>`;
-  }).join('');
+  // Imported TBT Forecaster figures (every exported field), shown alongside the history
+  let forecasterRows = '';
+  let staleNote = '';
+  if (forecastData) {
+    const { asOf } = forecastData;
+    const asOfLabel = formatMonthLabel(asOf);
+    const buildForecasterRow = (field, label, signed) => {
+      const cells = assets.map(a => {
+        const fd = forecastData.assets[a];
+        const val = fd ? fd[field] : null;
+        if (val === null || val === undefined) return '<td>—</td>';
+        const cls = signed ? (val >= 0 ? 'positive' : 'negative') : '';
+        return `<td class="${cls}">${val}%</td>`;
+      }).join('');
+      return `
+        <tr class="forecast-forecaster-row">
+          <td class="row-label">${label} <span class="forecast-count">as of ${asOfLabel}</span></td>
+          ${cells}
+        </tr>
+      `;
+    };
+    forecasterRows = buildForecasterRow('monthlyClose', 'Forecaster Close', true) +
+      buildForecasterRow('monthlyVol', 'Forecaster Volatility', false) +
+      buildForecasterRow('quarterlyClose', 'Forecaster Quarterly Close', true);
+    if (asOf.year * 12 + asOf.month < now.getFullYear() * 12 + now.getMonth() + 1) {
+      staleNote = `<div class="forecast-warning">⚠️ The TBT Forecaster export is from ${asOfLabel}, older than the current month (${currentMonth}).</div>`;
+    }
+  }
+  const errorNote = forecastError
+    ? `<div class="forecast-warning">Could not import ${escapeHtml(forecastError)}</div>`
+    : '';
   
   container.innerHTML = `
     <div class="card-header">
       <h2>Historical Performance (Median Data)</h2>
-      <span class="forecast-month">${currentMonth}</span>
+      <span class="range-badge custom-range">${rangeLabel}</span>
+      <div class="forecast-meta">
+        <select id="forecastMonthSelect" class="year-select" aria-label="Month">${monthOptions}</select>
+        <button class="toggle-btn ${forecastByPhase ? 'active' : ''}" id="forecastPhaseToggle" aria-pressed="${forecastByPhase}" ${getCurrentPhase() ? '' : 'disabled'}>
+          ${getCurrentPhase() || 'Current'} Phase Only
+        </button>
+        <label class="toggle-btn forecast-import" title="Load a TBT Forecaster export (JSON or CSV)">
+          📂 Import<input type="file" id="forecastFile" accept=".json,.csv" hidden>
+        </label>
+      </div>
     </div>
     <div class="card-body">
+      ${errorNote}
+      ${staleNote}
       <table class="forecast-table">
         <thead>
           <tr>
@@ -336,16 +915,17 @@ function renderForecastSection() {
         <tbody>
           <tr>
             <td class="row-label">Monthly Close</td>
-            ${monthlyRow}
+            ${buildRow('close', true)}
           </tr>
           <tr>
             <td class="row-label">Monthly Volatility</td>
-            ${volRow}
+            ${buildRow('volatility', false)}
           </tr>
           <tr>
-            <td class="row-label">Quarterly Close</td>
-            ${quarterlyRow}
+            <td class="row-label">Next Quarter Close (${nextQuarter})</td>
+            ${buildRow('nextQuarter', true)}
           </tr>
+          ${forecasterRows}
         </tbody>
       </table>
     </div>
@@ -353,58 +933,65 @@ function renderForecastSection() {
 }
 
 function renderDashboard() {
+  updateRangeBadges();
+  renderForecastSection();
   renderHeatmap();
+  renderProjection();
+  renderDrawdowns();
   renderStatistics();
   renderSeasonalityChart();
   renderWinRateChart();
+  renderSeasonalityOverlay();
+  renderCorrelationMatrix();
+  renderBacktest();
   renderHalvingTimeline();
+  renderHalvingCycles();
   renderComparisonChart();
   renderInsights();
   renderQuarterlyTable();
 }
 
 function renderHeatmap() {
-  const assetData = data.assets[currentAsset];
-  const years = getAvailableYears(currentAsset);
+  const assetData = getActiveAssetData();
+  const years = getActiveYears();
   const months = data.months;
   const dataSource = showVolatility ? assetData.volatilityData : assetData.data;
-  
-  // Calculate max volatility per year for relative scaling
-  const yearMaxVol = {};
-  if (showVolatility) {
-    years.forEach(year => {
-      const yearData = assetData.volatilityData[year] || {};
-      const values = Object.values(yearData).filter(v => v !== null && v !== undefined);
-      yearMaxVol[year] = values.length > 0 ? Math.max(...values.map(Math.abs)) : 100;
-    });
-  }
+  const scale = getColorScale();
   
   let html = '';
   
   // Header row - Cycle, Year, months, G/R (NO empty cell at A1)
+  // Rows are display: contents wrappers so the ARIA grid keeps the flat CSS grid layout
+  html += '<div role="row">';
   html += '<div class="heatmap-header heatmap-cycle-header">Cycle</div>';
   html += '<div class="heatmap-header heatmap-year-header">Year</div>';
   months.forEach(m => {
     html += `<div class="heatmap-header">${m}</div>`;
   });
   html += '<div class="heatmap-header heatmap-gr-header">G/R</div>';
+  html += '<div class="heatmap-header heatmap-gr-header" title="Deepest decline within each year, from the prior year\'s close" aria-label="Max drawdown">Max DD</div>';
+  html += '</div>';
   
-  // Summary row (average or median based on toggle)
-  const summaryLabel = useMedian ? 'Med' : 'Avg';
-  const summaryData = useMedian ? assetData.median : assetData.average;
+  // Summary row (chosen estimator per month)
+  const summaryLabel = TBTAnalytics.ESTIMATORS[statEstimator].short;
+  const summaryData = TBTAnalytics.monthEstimates(assetData, statEstimator, trimPercent);
   
+  html += '<div role="row">';
   html += '<div class="heatmap-cycle heatmap-summary-row"></div>';
-  html += `<div class="heatmap-year heatmap-summary-row">${summaryLabel}</div>`;
+  html += `<div class="heatmap-year heatmap-summary-row" aria-label="${getEstimatorLabel()}, all years">${summaryLabel}</div>`;
   
   for (let m = 0; m < 12; m++) {
     const value = summaryData && summaryData[m] !== undefined ? summaryData[m] : null;
-    const bgColor = getReturnColor(value, showVolatility);
+    const bgColor = getReturnColor(value, scale);
     const textColor = getTextColor(value);
     const displayVal = formatValue(value);
     
     html += `
       <div class="heatmap-cell heatmap-summary-row ${value === null ? 'null' : ''}"
-           style="background: ${bgColor}; color: ${textColor}">
+           style="background: ${bgColor}; color: ${textColor}"
+           data-summary="true"
+           data-month="${m + 1}"
+           data-value="${value !== null ? value : ''}">
         <span class="value">${displayVal !== '—' ? (value > 0 ? '+' : '') + displayVal + '%' : '—'}</span>
       </div>
     `;
@@ -412,6 +999,55 @@ function renderHeatmap() {
   // Summary row G/R cell - no empty cell needed, just placeholder
   html += '<div class="heatmap-gr heatmap-summary-row"></div>';
   
+  // Max drawdown column is returns-based in both views; summary cells hold the estimator across years
+  const yearDrawdowns = TBTAnalytics.yearMaxDrawdowns(assetData);
+  const estimateDrawdown = rowYears => {
+    const values = rowYears.map(y => yearDrawdowns[y]).filter(TBTAnalytics.isPresent);
+    return values.length > 0 ? TBTAnalytics.estimate(values, statEstimator, trimPercent) : null;
+  };
+  const drawdownCell = (value, className, attrs) => `
+    <div class="heatmap-gr heatmap-dd ${className}" ${attrs}>
+      <span class="${value === null || value === undefined ? '' : 'gr-red'}">${value === null || value === undefined ? '—' : formatValue(value) + '%'}</span>
+    </div>
+  `;
+  html += drawdownCell(estimateDrawdown(years), '', `title="${summaryLabel} yearly max drawdown"`);
+  html += '</div>';
+  
+  // Per-phase summary rows; the G/R column holds the estimator over complete calendar years
+  const phaseRows = TBTAnalytics.phaseSummaries(assetData, cycleGroups, statEstimator, trimPercent);
+  Object.keys(cycleGroups).forEach(phase => {
+    const summary = phaseRows[phase];
+    if (summary.years.length === 0) return;
+    
+    html += `<div role="row" aria-selected="false" data-cycle-row="${phase}">`;
+    html += `<div class="heatmap-cycle heatmap-phase-row cycle-${phase.toLowerCase()}" data-cycle="${phase}" aria-label="${phase} years">${phase}</div>`;
+    html += `<div class="heatmap-year heatmap-summary-row" aria-label="${getEstimatorLabel()}, ${phase} years">${summaryLabel}</div>`;
+    
+    summary.months.forEach((value, idx) => {
+      const displayVal = formatValue(value);
+      html += `
+        <div class="heatmap-cell heatmap-summary-row heatmap-phase-row ${value === null ? 'null' : ''}"
+             style="background: ${getReturnColor(value, scale)}; color: ${getTextColor(value)}"
+             data-summary="true"
+             data-phase="${phase}"
+             data-month="${idx + 1}"
+             data-value="${value !== null ? value : ''}">
+          <span class="value">${displayVal !== '—' ? (value > 0 ? '+' : '') + displayVal + '%' : '—'}</span>
+        </div>
+      `;
+    });
+    
+    const annual = summary.annual;
+    html += `
+      <div class="heatmap-gr heatmap-phase-row" title="${summaryLabel} calendar-year return (${summary.annualCount} complete years)">
+        <span class="${annual === null ? '' : (annual >= 0 ? 'gr-green' : 'gr-red')}">${annual === null ? '—' : (annual > 0 ? '+' : '') + formatValue(annual) + '%'}</span>
+      </div>
+    `;
+    html += drawdownCell(estimateDrawdown(summary.years), 'heatmap-phase-row',
+      `title="${summaryLabel} yearly max drawdown (${phase} years)"`);
+    html += '</div>';
+  });
+  
   // Data rows
   years.forEach(year => {
     const yearData = dataSource[year] || {};
@@ -422,7 +1058,8 @@ function renderHeatmap() {
     
     // Cycle column (clickable for highlighting)
     const cycleClass = cyclePhase ? `cycle-${cyclePhase.toLowerCase()}` : '';
-    html += `<div class="heatmap-cycle ${cycleClass}" data-cycle="${cyclePhase}" data-row-year="${year}">${cyclePhase}</div>`;
+    html += `<div role="row" aria-selected="false" data-year-row="${year}" data-cycle-row="${cyclePhase}">`;
+    html += `<div class="heatmap-cycle ${cycleClass}" data-cycle="${cyclePhase}" data-row-year="${year}" aria-label="${cyclePhase ? `${cyclePhase} year` : 'No cycle phase'}">${cyclePhase}</div>`;
     
     // Year column (clickable for highlighting)
     html += `<div class="heatmap-year ${isHalvingYear ? 'halving-year' : ''}" data-row-year="${year}">${year}</div>`;
@@ -431,8 +1068,7 @@ function renderHeatmap() {
     for (let m = 1; m <= 12; m++) {
       const value = yearData[m];
       const isHalvingMonth = halvingMonth === m;
-      const yearMax = showVolatility ? yearMaxVol[year] : null;
-      const bgColor = getReturnColor(value, showVolatility, yearMax);
+      const bgColor = getReturnColor(value, scale);
       const textColor = getTextColor(value);
       const displayVal = formatValue(value);
       
@@ -451,154 +1087,140 @@ function renderHeatmap() {
     
     // Green/Red column - no empty cell below header
     html += `
-      <div class="heatmap-gr" data-row-year="${year}" data-cycle="${cyclePhase}">
+      <div class="heatmap-gr" data-row-year="${year}" data-cycle="${cyclePhase}" aria-label="${year}: ${greenRed.green} green, ${greenRed.red} red months">
         <span class="gr-green">${greenRed.green}</span>/<span class="gr-red">${greenRed.red}</span>
       </div>
     `;
+    const drawdownLabel = TBTAnalytics.isPresent(yearDrawdowns[year]) ? `${formatValue(yearDrawdowns[year])}%` : 'no data';
+    html += drawdownCell(yearDrawdowns[year], '',
+      `data-row-year="${year}" data-cycle="${cyclePhase}" aria-label="${year} max drawdown: ${drawdownLabel}"`);
+    html += '</div>';
   });
   
-  document.getElementById('heatmap').innerHTML = html;
+  const heatmap = document.getElementById('heatmap');
+  const hadFocus = heatmap.contains(document.activeElement);
+  heatmap.innerHTML = html;
   
   // Update title
   const dataType = showVolatility ? 'Volatility' : 'Returns';
-  document.getElementById('heatmapTitle').textContent = 
-    `${assetData.name} Monthly ${dataType} (${years[0]}-${years[years.length - 1]})`;
+  const title = `${assetData.name} Monthly ${dataType} (${years[0]}-${years[years.length - 1]})`;
+  document.getElementById('heatmapTitle').textContent = title;
+  heatmap.setAttribute('aria-label', title);
+  prepareHeatmapGrid(hadFocus);
+  renderColorLegend(scale);
+  
+  // Keep any active row/cycle highlight across re-renders
+  applyRowHighlighting();
 }
 
-function renderStatistics() {
-  const assetData = data.assets[currentAsset];
-  const stats = assetData.statistics;
-  
-  // Calculate overall stats
-  let totalGreen = 0, totalRed = 0;
-  let allValues = [];
-  let bestMonthData = { value: -Infinity, year: null, month: null };
-  let worstMonthData = { value: Infinity, year: null, month: null };
-  
-  const years = getAvailableYears(currentAsset);
-  
-  years.forEach(year => {
-    const yearData = assetData.data[year];
-    for (let m = 1; m <= 12; m++) {
-      const val = yearData[m];
-      if (val !== null && val !== undefined) {
-        allValues.push(val);
-        if (val > 0) totalGreen++;
-        else if (val < 0) totalRed++;
-        
-        if (val > bestMonthData.value) {
-          bestMonthData = { value: val, year: year, month: m };
-        }
-        if (val < worstMonthData.value) {
-          worstMonthData = { value: val, year: year, month: m };
-        }
-      }
-    }
-  });
-  
-  const avgReturn = allValues.length > 0 ? allValues.reduce((a, b) => a + b, 0) / allValues.length : 0;
-  const sorted = [...allValues].sort((a, b) => a - b);
-  const medianReturn = sorted.length > 0 ? (sorted.length % 2 === 0 
-    ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2 
-    : sorted[Math.floor(sorted.length / 2)]) : 0;
-  const winRate = totalGreen + totalRed > 0 ? (totalGreen / (totalGreen + totalRed) * 100) : 0;
-  
-  // Calculate average annual return
-  let annualReturns = [];
-  years.forEach(year => {
-    const yearData = assetData.data[year];
-    const yearValues = [];
-    for (let m = 1; m <= 12; m++) {
-      if (yearData[m] !== null && yearData[m] !== undefined) {
-        yearValues.push(yearData[m]);
-      }
-    }
-    if (yearValues.length >= 6) { // Only count years with sufficient data
-      let compound = 1;
-      yearValues.forEach(r => { compound *= (1 + r / 100); });
-      annualReturns.push((compound - 1) * 100);
-    }
+// Full month name, e.g. 3 -> 'March'
+function getMonthName(month) {
+  return new Date(2000, month - 1).toLocaleDateString('en-US', { month: 'long' });
+}
+
+// Tooltip text of a heatmap month cell, or null for an empty cell
+function describeHeatmapCell(cell) {
+  const month = parseInt(cell.dataset.month);
+  const value = parseFloat(cell.dataset.value);
+  const isSummary = cell.dataset.summary === 'true';
+  if ((!cell.dataset.year && !isSummary) || isNaN(month) || isNaN(value)) return null;
+  
+  // Summary row shows returns by the active estimator
+  const dataType = isSummary ? `${getEstimatorLabel()} return` : (showVolatility ? 'Volatility' : 'Return');
+  const phase = cell.dataset.phase;
+  return {
+    title: isSummary
+      ? `${data.months[month - 1]}, ${phase ? `${phase} years` : 'all years'}`
+      : `${data.months[month - 1]} ${cell.dataset.year}`,
+    value: value,
+    text: `${dataType}: ${(value >= 0 ? '+' : '')}${formatValue(value)}%`
+  };
+}
+
+// Screen-reader name of a heatmap month cell, e.g. "March 2021, +30% return"
+function getHeatmapCellLabel(cell) {
+  const month = getMonthName(parseInt(cell.dataset.month));
+  const where = cell.dataset.summary === 'true'
+    ? `${month}, ${cell.dataset.phase ? `${cell.dataset.phase} years` : 'all years'}`
+    : `${month} ${cell.dataset.year}`;
+  const value = parseFloat(cell.dataset.value);
+  if (isNaN(value)) return `${where}, no data`;
+  const kind = cell.dataset.summary === 'true'
+    ? `${getEstimatorLabel().toLowerCase()} return`
+    : (showVolatility ? 'volatility' : 'return');
+  return `${where}, ${value > 0 ? '+' : ''}${formatValue(value)}% ${kind}`;
+}
+
+function showHeatmapTooltip(cell, left, top) {
+  const info = describeHeatmapCell(cell);
+  if (!info) return;
+  const tooltip = document.getElementById('tooltip');
+  tooltip.querySelector('.tooltip-title').textContent = info.title;
+  const valueEl = tooltip.querySelector('.tooltip-value');
+  valueEl.textContent = info.text;
+  valueEl.className = 'tooltip-value ' + (info.value >= 0 ? 'positive' : 'negative');
+  tooltip.style.left = left + 'px';
+  tooltip.style.top = top + 'px';
+  tooltip.classList.add('visible');
+}
+
+// ARIA roles, cell names and a single tab stop (roving tabindex) for the rendered heatmap
+function prepareHeatmapGrid(moveFocus) {
+  document.querySelectorAll('#heatmap [role="row"] > div').forEach(cell => {
+    let role = 'gridcell';
+    if (cell.classList.contains('heatmap-header')) role = 'columnheader';
+    else if (cell.classList.contains('heatmap-cycle') || cell.classList.contains('heatmap-year')) role = 'rowheader';
+    cell.setAttribute('role', role);
+    cell.tabIndex = -1;
+    if (cell.classList.contains('heatmap-cell')) cell.setAttribute('aria-label', getHeatmapCellLabel(cell));
   });
-  const avgAnnualReturn = annualReturns.length > 0 ? annualReturns.reduce((a, b) => a + b, 0) / annualReturns.length : 0;
-  
-  // Calculate current streak
-  let currentStreak = 0;
-  let streakType = '';
-  const lastYear = years[years.length - 1];
-  const lastYearData = assetData.data[lastYear];
-  
-  // Find the most recent month with data
-  for (let m = 12; m >= 1; m--) {
-    if (lastYearData[m] !== null && lastYearData[m] !== undefined) {
-      streakType = lastYearData[m] >= 0 ? 'green' : 'red';
-      break;
-    }
-  }
-  
-  // Count the streak
-  outer: for (let y = years.length - 1; y >= 0; y--) {
-    const year = years[y];
-    const yearData = assetData.data[year];
-    for (let m = 12; m >= 1; m--) {
-      const val = yearData[m];
-      if (val === null || val === undefined) continue;
-      const isGreen = val >= 0;
-      if ((streakType === 'green' && isGreen) || (streakType === 'red' && !isGreen)) {
-        currentStreak++;
-      } else {
-        break outer;
-      }
-    }
+  focusHeatmapCell(heatmapFocus.row, heatmapFocus.col, moveFocus);
+}
+
+// Move the grid's tab stop to a cell (clamped to the grid), optionally focusing it
+function focusHeatmapCell(row, col, moveFocus) {
+  const rows = [...document.querySelectorAll('#heatmap [role="row"]')];
+  if (rows.length === 0) return;
+  const rowIdx = Math.min(rows.length - 1, Math.max(0, row));
+  const cells = rows[rowIdx].children;
+  const colIdx = Math.min(cells.length - 1, Math.max(0, col));
+  
+  document.querySelectorAll('#heatmap [tabindex="0"]').forEach(el => { el.tabIndex = -1; });
+  cells[colIdx].tabIndex = 0;
+  heatmapFocus = { row: rowIdx, col: colIdx };
+  if (moveFocus) cells[colIdx].focus();
+}
+
+// Toggle the heatmap highlight of a cycle phase or a single year; repeating it clears the highlight
+function toggleHeatmapHighlight(cycle, year) {
+  if (cycle) {
+    highlightedCycle = highlightedCycle === cycle ? null : cycle;
+    highlightedYear = null;
+  } else {
+    highlightedYear = highlightedYear === year ? null : year;
+    highlightedCycle = null;
   }
+  applyRowHighlighting();
+  pushUrlState();
+  announce(highlightedCycle ? `${highlightedCycle} years highlighted`
+    : (highlightedYear ? `${highlightedYear} highlighted` : 'Highlight cleared'));
+}
+
+// Polite screen-reader announcement for changes that don't move focus
+function announce(message) {
+  document.getElementById('liveRegion').textContent = message;
+}
+
+function renderStatistics() {
+  const assetData = getPhaseAssetData();
+  const keyStats = TBTAnalytics.computeKeyStatistics(assetData, statEstimator, trimPercent);
   
-  const displayReturn = useMedian ? medianReturn : avgReturn;
-  const returnLabel = useMedian ? 'Med Monthly' : 'Avg Monthly';
-  const bestMonthName = data.months[bestMonthData.month - 1];
-  const worstMonthName = data.months[worstMonthData.month - 1];
+  const { winRate, currentStreak, streakType, medianStreak, prevYear, prevBest, prevWorst } = keyStats;
   
-  // Get previous year's best/worst
-  const prevYear = years[years.length - 2] || years[years.length - 1];
-  const prevYearData = assetData.data[prevYear];
-  let prevBest = { value: -Infinity, month: null };
-  let prevWorst = { value: Infinity, month: null };
-  for (let m = 1; m <= 12; m++) {
-    const val = prevYearData[m];
-    if (val !== null && val !== undefined) {
-      if (val > prevBest.value) prevBest = { value: val, month: m };
-      if (val < prevWorst.value) prevWorst = { value: val, month: m };
-    }
-  }
+  const displayReturn = keyStats.typicalReturn;
   const prevBestMonthName = data.months[prevBest.month - 1];
   const prevWorstMonthName = data.months[prevWorst.month - 1];
   
-  // Calculate median streak length for current streak type (ignoring streaks < 3)
-  let streaks = [];
-  let tempStreak = 0;
-  let lastType = null;
-  years.forEach(year => {
-    const yearData = assetData.data[year];
-    for (let m = 1; m <= 12; m++) {
-      const val = yearData[m];
-      if (val === null || val === undefined) continue;
-      const thisType = val >= 0 ? 'green' : 'red';
-      if (thisType === lastType || lastType === null) {
-        tempStreak++;
-      } else {
-        if (tempStreak >= 3) streaks.push({ type: lastType, length: tempStreak }); // Only count streaks >= 3
-        tempStreak = 1;
-      }
-      lastType = thisType;
-    }
-  });
-  if (tempStreak >= 3) streaks.push({ type: lastType, length: tempStreak });
-  
-  const sameTypeStreaks = streaks.filter(s => s.type === streakType).map(s => s.length).sort((a, b) => a - b);
-  const medianStreak = sameTypeStreaks.length > 0 
-    ? (sameTypeStreaks.length % 2 === 0 
-      ? (sameTypeStreaks[sameTypeStreaks.length / 2 - 1] + sameTypeStreaks[sameTypeStreaks.length / 2]) / 2 
-      : sameTypeStreaks[Math.floor(sameTypeStreaks.length / 2)])
-    : 3; // Default to 3 if no qualifying streaks
-  
   // Streak color: white at 1, incrementally more green/red as it grows
   // At 1: white, at 6+: full color
   function getStreakColor(value, type) {
@@ -621,7 +1243,7 @@ function renderStatistics() {
   
   // Helper for negative value class
   const negClass = (val) => val < 0 ? 'negative' : '';
-  const returnLabelFull = useMedian ? 'Med. Monthly Performance' : 'Avg. Monthly Performance';
+  const returnLabelFull = `${getEstimatorLabel()} Monthly Performance`;
   
   document.getElementById('statsGrid').innerHTML = `
     <div class="stat-item">
@@ -656,22 +1278,70 @@ function renderStatistics() {
   `;
 }
 
+// 95% intervals for the active estimator and win rate of each month (seeded, so stable across renders)
+function getMonthConfidence(assetData) {
+  return TBTAnalytics.monthConfidence(assetData, statEstimator, trimPercent, { random: TBTAnalytics.seededRandom(1) });
+}
+
+// Draws dataset.errorBars ([{ low, high } | null]) as whiskers on bar charts
+// and as radial segments on polar area charts
+const errorBarsPlugin = {
+  id: 'errorBars',
+  afterDatasetsDraw(chart) {
+    const ctx = chart.ctx;
+    chart.data.datasets.forEach((dataset, datasetIndex) => {
+      if (!dataset.errorBars) return;
+      ctx.save();
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.75)';
+      ctx.lineWidth = 1.5;
+      chart.getDatasetMeta(datasetIndex).data.forEach((element, idx) => {
+        const bar = dataset.errorBars[idx];
+        if (!bar) return;
+        ctx.beginPath();
+        if (chart.scales.r) {
+          const angle = (element.startAngle + element.endAngle) / 2;
+          const [inner, outer] = [bar.low, bar.high].map(v => chart.scales.r.getDistanceFromCenterForValue(v));
+          ctx.moveTo(element.x + Math.cos(angle) * inner, element.y + Math.sin(angle) * inner);
+          ctx.lineTo(element.x + Math.cos(angle) * outer, element.y + Math.sin(angle) * outer);
+        } else {
+          const top = chart.scales.y.getPixelForValue(bar.high);
+          const bottom = chart.scales.y.getPixelForValue(bar.low);
+          const cap = Math.min(6, element.width / 4);
+          ctx.moveTo(element.x, top);
+          ctx.lineTo(element.x, bottom);
+          ctx.moveTo(element.x - cap, top);
+          ctx.lineTo(element.x + cap, top);
+          ctx.moveTo(element.x - cap, bottom);
+          ctx.lineTo(element.x + cap, bottom);
+        }
+        ctx.stroke();
+      });
+      ctx.restore();
+    });
+  }
+};
+
 function renderSeasonalityChart() {
-  const assetData = data.assets[currentAsset];
+  const assetData = getPhaseAssetData();
   const stats = assetData.statistics;
   
   const labels = data.months;
+  const estimates = TBTAnalytics.monthEstimates(assetData, statEstimator, trimPercent);
+  const confidence = getMonthConfidence(assetData);
+  const estimatorName = getEstimatorLabel();
   const avgReturns = [];
   const winRates = [];
   const colors = [];
   
   for (let m = 1; m <= 12; m++) {
     const stat = stats[m];
-    if (stat) {
-      const value = useMedian ? stat.median : stat.average;
+    const value = estimates[m - 1];
+    if (stat && value !== null) {
+      // Months whose interval straddles zero are drawn faded
+      const alpha = confidence[m - 1].significant ? '0.8' : '0.35';
       avgReturns.push(value);
       winRates.push(stat.win_rate);
-      colors.push(value >= 0 ? 'rgba(0, 204, 0, 0.8)' : 'rgba(255, 71, 87, 0.8)');
+      colors.push(value >= 0 ? `rgba(0, 204, 0, ${alpha})` : `rgba(255, 71, 87, ${alpha})`);
     } else {
       avgReturns.push(0);
       winRates.push(0);
@@ -685,7 +1355,7 @@ function renderSeasonalityChart() {
     charts.seasonality.destroy();
   }
   
-  const chartLabel = useMedian ? 'Median Return %' : 'Avg Return %';
+  const chartLabel = `${estimatorName} Return %`;
   
   charts.seasonality = new Chart(ctx, {
     type: 'bar',
@@ -695,11 +1365,13 @@ function renderSeasonalityChart() {
         label: chartLabel,
         data: avgReturns,
         backgroundColor: colors,
-        borderColor: colors.map(c => c.replace('0.8', '1')),
+        borderColor: colors.map(c => c.replace(/[\d.]+\)$/, '1)')),
         borderWidth: 1,
         borderRadius: 6,
+        errorBars: confidence.map(c => c && { low: c.low, high: c.high })
       }]
     },
+    plugins: [errorBarsPlugin],
     options: {
       responsive: true,
       maintainAspectRatio: false,
@@ -717,10 +1389,16 @@ function renderSeasonalityChart() {
           callbacks: {
             label: function(context) {
               const idx = context.dataIndex;
-              return [
-                `${useMedian ? 'Median' : 'Avg'} Return: ${formatValue(avgReturns[idx])}%`,
+              const c = confidence[idx];
+              const lines = [
+                `${estimatorName} Return: ${formatValue(avgReturns[idx])}%`,
                 `Win Rate: ${formatValue(winRates[idx])}%`
               ];
+              if (c) {
+                lines.push(`95% CI: ${formatValue(c.low)}% to ${formatValue(c.high)}% (n=${c.count})`);
+                if (!c.significant) lines.push('Not distinguishable from 0%');
+              }
+              return lines;
             }
           }
         }
@@ -741,7 +1419,10 @@ function renderSeasonalityChart() {
           ticks: {
             color: 'rgba(255, 255, 255, 0.7)',
             callback: value => Math.round(value) + '%'
-          }
+          },
+          // Leave room for the interval whiskers
+          suggestedMin: Math.min(0, ...confidence.filter(Boolean).map(c => c.low)),
+          suggestedMax: Math.max(0, ...confidence.filter(Boolean).map(c => c.high))
         }
       }
     }
@@ -749,10 +1430,9 @@ function renderSeasonalityChart() {
 }
 
 function renderWinRateChart() {
-  const assetData = data.assets[currentAsset];
+  const assetData = getPhaseAssetData();
   const stats = assetData.statistics;
-  const years = getAvailableYears(currentAsset);
-  const startYear = years[0];
+  const confidence = getMonthConfidence(assetData);
   
   const labels = data.months;
   const winRates = [];
@@ -780,9 +1460,11 @@ function renderWinRateChart() {
           return `hsla(${hue}, ${saturation}%, 50%, 0.7)`;
         }),
         borderColor: 'rgba(255, 255, 255, 0.3)',
-        borderWidth: 1
+        borderWidth: 1,
+        errorBars: confidence.map(c => c && { low: c.winLow, high: c.winHigh })
       }]
     },
+    plugins: [errorBarsPlugin],
     options: {
       responsive: true,
       maintainAspectRatio: false,
@@ -796,13 +1478,20 @@ function renderWinRateChart() {
           borderWidth: 1,
           callbacks: {
             label: function(context) {
-              return `Win Rate: ${formatValue(context.raw)}%`;
+              const c = confidence[context.dataIndex];
+              if (!c) return `Win Rate: ${formatValue(context.raw)}%`;
+              return [
+                `Win Rate: ${formatValue(context.raw)}%`,
+                `95% CI: ${formatValue(c.winLow)}% to ${formatValue(c.winHigh)}% (n=${c.count})`
+              ].concat(c.winSignificant ? [] : ['Not distinguishable from 50%']);
             }
           }
         }
       },
       scales: {
         r: {
+          min: 0,
+          max: 100,
           grid: {
             color: 'rgba(255, 255, 255, 0.1)'
           },
@@ -818,10 +1507,613 @@ function renderWinRateChart() {
   // Update subtitle with clarification
   const winRateHeader = document.querySelector('#winRateChart').closest('.card').querySelector('.card-header h2');
   if (winRateHeader) {
-    winRateHeader.innerHTML = `Monthly Win Rate<span class="chart-subtitle">% of months closing green since ${startYear}</span>`;
+    winRateHeader.innerHTML = `Monthly Win Rate<span class="chart-subtitle">% of months closing green</span>`;
   }
 }
 
+function getAssetColor(asset) {
+  const idx = Object.keys(data.assets).indexOf(asset);
+  return assetColors[Math.max(0, idx) % assetColors.length];
+}
+
+// Years shared by every overlay asset, narrowed by the global year range when they overlap
+function getOverlayYears(assets) {
+  const common = TBTAnalytics.commonYears(assets);
+  const inRange = common.filter(y =>
+    (yearRangeFrom === null || y >= yearRangeFrom) && (yearRangeTo === null || y <= yearRangeTo));
+  return inRange.length > 0 ? inRange : common;
+}
+
+function renderSeasonalityOverlay() {
+  const container = document.getElementById('overlayAssets');
+  container.innerHTML = Object.keys(data.assets).map(key => `
+    <button class="cycle-btn ${overlayAssets.includes(key) ? 'active' : ''}" aria-pressed="${overlayAssets.includes(key)}" data-asset="${key}" style="--cycle-color: ${getAssetColor(key)}">${key}</button>
+  `).join('');
+  
+  const metricToggle = document.getElementById('overlayMetricToggle');
+  metricToggle.classList.toggle('active', overlayShowWinRate);
+  metricToggle.setAttribute('aria-pressed', overlayShowWinRate);
+  const typeToggle = document.getElementById('overlayTypeToggle');
+  typeToggle.classList.toggle('active', overlayUseLines);
+  typeToggle.setAttribute('aria-pressed', overlayUseLines);
+  
+  const keys = overlayAssets.filter(key => data.assets[key]);
+  const years = getOverlayYears(keys.map(key => data.assets[key]));
+  document.getElementById('overlayRange').textContent = years.length > 0
+    ? `${years[0]}–${years[years.length - 1]}`
+    : (keys.length > 0 ? 'No common years' : 'No assets selected');
+  
+  const estimatorName = getEstimatorLabel();
+  const datasets = years.length === 0 ? [] : keys.map(key => {
+    const assetData = TBTAnalytics.filterYears(data.assets[key], years[0], years[years.length - 1]);
+    const color = getAssetColor(key);
+    const values = overlayShowWinRate
+      ? data.months.map((_, idx) => assetData.statistics[idx + 1].count > 0 ? assetData.statistics[idx + 1].win_rate : null)
+      : TBTAnalytics.monthEstimates(assetData, statEstimator, trimPercent);
+    
+    if (overlayUseLines) {
+      return {
+        label: key,
+        data: values,
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 2,
+        fill: false,
+        tension: 0.3,
+        pointRadius: 4,
+        pointHoverRadius: 7
+      };
+    }
+    return {
+      label: key,
+      data: values,
+      backgroundColor: color + 'cc',
+      borderColor: color,
+      borderWidth: 1,
+      borderRadius: 4
+    };
+  });
+  
+  const ctx = document.getElementById('overlayChart').getContext('2d');
+  
+  if (charts.overlay) {
+    charts.overlay.destroy();
+  }
+  
+  charts.overlay = new Chart(ctx, {
+    type: overlayUseLines ? 'line' : 'bar',
+    data: {
+      labels: data.months,
+      datasets: datasets
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      plugins: {
+        legend: {
+          labels: {
+            color: 'rgba(255, 255, 255, 0.8)',
+            font: { size: 12, weight: 'bold' }
+          }
+        },
+        tooltip: {
+          backgroundColor: 'rgba(10, 14, 23, 0.95)',
+          borderColor: '#0DCAB1',
+          borderWidth: 1,
+          titleColor: '#0DCAB1',
+          bodyColor: '#fff',
+          padding: 12,
+          callbacks: {
+            label: function(context) {
+              const value = context.raw;
+              if (value === null) return `${context.dataset.label}: —`;
+              if (overlayShowWinRate) return `${context.dataset.label} Win Rate: ${formatValue(value)}%`;
+              const sign = value >= 0 ? '+' : '';
+              return `${context.dataset.label} ${estimatorName}: ${sign}${formatValue(value)}%`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)'
+          }
+        },
+        y: {
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            callback: value => Math.round(value) + '%'
+          }
+        }
+      }
+    }
+  });
+}
+
+function getCorrelationColor(value) {
+  if (value === null) return 'rgba(255, 255, 255, 0.05)';
+  const alpha = 0.15 + Math.min(1, Math.abs(value)) * 0.75;
+  return value >= 0 ? `rgba(13, 202, 177, ${alpha})` : `rgba(255, 71, 87, ${alpha})`;
+}
+
+function renderCorrelationMatrix() {
+  document.getElementById('correlationMethodSelect').value = correlationMethod;
+  document.getElementById('correlationPhaseSelect').value = correlationPhase || '';
+  
+  // Global year range, then the chosen cycle phase
+  const years = getAllYears().filter(y =>
+    (yearRangeFrom === null || y >= yearRangeFrom) &&
+    (yearRangeTo === null || y <= yearRangeTo) &&
+    (!correlationPhase || cycleGroups[correlationPhase].includes(y)));
+  
+  const matrix = TBTAnalytics.correlationMatrix(data.assets, correlationMethod, years);
+  const methodLabel = correlationMethod === 'spearman' ? 'Spearman' : 'Pearson';
+  
+  document.getElementById('correlationRange').textContent = years.length > 0
+    ? `${years[0]}–${years[years.length - 1]}${correlationPhase ? ` · ${correlationPhase} years` : ''}`
+    : 'No years';
+  
+  const grid = document.getElementById('correlationGrid');
+  grid.style.gridTemplateColumns = `80px repeat(${matrix.keys.length}, 1fr)`;
+  
+  let html = '<div class="heatmap-header"></div>';
+  matrix.keys.forEach(key => {
+    html += `<div class="heatmap-header">${key}</div>`;
+  });
+  
+  matrix.keys.forEach((rowKey, i) => {
+    html += `<div class="heatmap-year">${rowKey}</div>`;
+    matrix.keys.forEach((colKey, j) => {
+      const cell = matrix.cells[i][j];
+      const display = cell.value !== null ? cell.value.toFixed(2) : '—';
+      const title = `${rowKey} vs ${colKey}: ${display} (${methodLabel}, ${cell.count} overlapping months)`;
+      html += `
+        <div class="correlation-cell ${cell.value === null ? 'null' : ''}" style="background: ${getCorrelationColor(cell.value)}" title="${title}">
+          <span class="value">${display}</span>
+          <span class="correlation-count">n=${cell.count}</span>
+        </div>
+      `;
+    });
+  });
+  
+  grid.innerHTML = html;
+}
+
+function renderProjection() {
+  const assetData = getBaseAssetData();
+  const allYears = TBTAnalytics.getAvailableYears(assetData);
+  const year = allYears[allYears.length - 1];
+  const phase = marketCycles[year] || null;
+  const byPhase = projectionByPhase && !!phase;
+  
+  const phaseToggle = document.getElementById('projectionPhaseToggle');
+  phaseToggle.hidden = !phase;
+  phaseToggle.classList.toggle('active', byPhase);
+  phaseToggle.setAttribute('aria-pressed', byPhase);
+  phaseToggle.textContent = `${phase || 'Same'} Phase Only`;
+  
+  // History comes from the selected year range, optionally narrowed to the same cycle phase
+  const sampleYears = getActiveYears().filter(y => y !== year && (!byPhase || cycleGroups[phase].includes(y)));
+  const projection = TBTAnalytics.projectRestOfYear(assetData, year, {
+    sampleYears: sampleYears,
+    random: TBTAnalytics.seededRandom(year)
+  });
+  
+  document.getElementById('projectionTitle').textContent = `${year} Rest-of-Year Projection`;
+  document.getElementById('projectionRange').textContent =
+    `${assetData.name} · ${sampleYears.length} yr history${byPhase ? ` · ${phase} years` : ''}`;
+  
+  if (charts.projection) {
+    charts.projection.destroy();
+    charts.projection = null;
+  }
+  
+  const statsContainer = document.getElementById('projectionStats');
+  if (!projection) {
+    const yearComplete = data.months.every((_, idx) => TBTAnalytics.isPresent(assetData.data[year][idx + 1]));
+    statsContainer.innerHTML = `
+      <div class="stat-item">
+        <div class="stat-label">${yearComplete ? `${year} has no open months to project` : 'Not enough history to project'}</div>
+      </div>
+    `;
+    return;
+  }
+  
+  const signed = value => `${value >= 0 ? '+' : ''}${formatValue(value)}%`;
+  const valueClass = value => value < 0 ? 'negative' : '';
+  statsContainer.innerHTML = `
+    <div class="stat-item">
+      <div class="stat-value ${valueClass(projection.ytd)}">${signed(projection.ytd)}</div>
+      <div class="stat-label">Realized YTD</div>
+      <div class="stat-sublabel">through ${data.months[projection.lastRealized - 1] || '—'}</div>
+    </div>
+    <div class="stat-item">
+      <div class="stat-value ${valueClass(projection.yearEnd[50])}">${signed(projection.yearEnd[50])}</div>
+      <div class="stat-label">Median Year-End</div>
+    </div>
+    <div class="stat-item">
+      <div class="stat-value custom-color" style="color: var(--text-primary);">${signed(projection.yearEnd[5])} to ${signed(projection.yearEnd[95])}</div>
+      <div class="stat-label">5–95% Range</div>
+    </div>
+    <div class="stat-item">
+      <div class="stat-value">${formatValue(projection.probGreen)}%</div>
+      <div class="stat-label">Chance of a Green Year</div>
+      <div class="stat-sublabel">${projection.simulations.toLocaleString('en-US')} simulations</div>
+    </div>
+  `;
+  
+  // Percentile series start from the last realized point so the fan joins the realized line
+  const last = projection.lastRealized;
+  const fanSeries = p => data.months.map((_, idx) => {
+    const month = idx + 1;
+    if (month < last) return null;
+    if (month === last) return projection.ytd;
+    return projection.fan[p][projection.months.indexOf(month)];
+  });
+  const realized = data.months.map((_, idx) => idx < last ? projection.realizedYtd[idx] : null);
+  const band = (label, p, fill, alpha) => ({
+    label: label,
+    data: fanSeries(p),
+    borderColor: 'transparent',
+    backgroundColor: `rgba(13, 202, 177, ${alpha})`,
+    pointRadius: 0,
+    fill: fill
+  });
+  
+  const ctx = document.getElementById('projectionChart').getContext('2d');
+  charts.projection = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: data.months,
+      datasets: [
+        band('5th percentile', 5, false, 0),
+        band('95th percentile', 95, '-1', 0.12),
+        band('25th percentile', 25, false, 0),
+        band('75th percentile', 75, '-1', 0.25),
+        {
+          label: 'Median',
+          data: fanSeries(50),
+          borderColor: '#0DCAB1',
+          backgroundColor: '#0DCAB1',
+          borderWidth: 2,
+          borderDash: [5, 5],
+          pointRadius: 3,
+          fill: false
+        },
+        {
+          label: 'Realized',
+          data: realized,
+          borderColor: '#ffffff',
+          backgroundColor: '#ffffff',
+          borderWidth: 3,
+          pointRadius: 4,
+          fill: false
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      plugins: {
+        legend: {
+          labels: {
+            color: 'rgba(255, 255, 255, 0.8)',
+            font: { size: 12, weight: 'bold' },
+            filter: item => item.text === 'Median' || item.text === 'Realized'
+          }
+        },
+        tooltip: {
+          backgroundColor: 'rgba(10, 14, 23, 0.95)',
+          borderColor: '#0DCAB1',
+          borderWidth: 1,
+          titleColor: '#0DCAB1',
+          bodyColor: '#fff',
+          padding: 12,
+          filter: item => item.raw !== null,
+          callbacks: {
+            label: function(context) {
+              return `${context.dataset.label}: ${signed(context.raw)} YTD`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)'
+          }
+        },
+        y: {
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            callback: value => Math.round(value) + '%'
+          }
+        }
+      }
+    }
+  });
+}
+
+// Underwater curve of the compounded index plus its deepest declines
+function renderDrawdowns() {
+  const assetData = getActiveAssetData();
+  const years = getActiveYears();
+  const points = TBTAnalytics.underwaterCurve(assetData);
+  const episodes = TBTAnalytics.drawdownEpisodes(assetData, 5);
+  
+  document.getElementById('drawdownRange').textContent = `${assetData.name} · ${years[0]}–${years[years.length - 1]}`;
+  
+  const ctx = document.getElementById('drawdownChart').getContext('2d');
+  if (charts.drawdown) {
+    charts.drawdown.destroy();
+  }
+  charts.drawdown = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: points.map(p => `${data.months[p.month - 1]} ${p.year}`),
+      datasets: [{
+        label: 'Drawdown from peak',
+        data: points.map(p => p.drawdown),
+        borderColor: '#ff4757',
+        backgroundColor: 'rgba(255, 71, 87, 0.25)',
+        borderWidth: 1.5,
+        pointRadius: 0,
+        fill: 'origin'
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          backgroundColor: 'rgba(10, 14, 23, 0.95)',
+          borderColor: '#ff4757',
+          borderWidth: 1,
+          titleColor: '#ff4757',
+          bodyColor: '#fff',
+          padding: 12,
+          callbacks: {
+            label: function(context) {
+              return `${context.dataset.label}: ${formatValue(context.raw)}%`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            maxTicksLimit: 12
+          }
+        },
+        y: {
+          max: 0,
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            callback: value => Math.round(value) + '%'
+          }
+        }
+      }
+    }
+  });
+  
+  const rows = episodes.map(e => `
+    <tr>
+      <td class="q-negative">${formatValue(e.depth)}%</td>
+      <td>${formatMonthLabel(e.start)}</td>
+      <td>${formatMonthLabel(e.trough)}</td>
+      <td>${e.recovery ? formatMonthLabel(e.recovery) : 'Not yet'}</td>
+      <td>${e.declineMonths}</td>
+      <td>${e.recoveryMonths !== null ? e.recoveryMonths : '—'}</td>
+      <td>${e.totalMonths}${e.recovery ? '' : '+'}</td>
+    </tr>
+  `).join('');
+  
+  document.getElementById('drawdownTable').innerHTML = episodes.length === 0
+    ? '<p class="correlation-note">No drawdowns in the selected years.</p>'
+    : `
+    <table class="quarterly-table">
+      <thead>
+        <tr>
+          <th>Depth</th>
+          <th>Peak</th>
+          <th>Trough</th>
+          <th>Recovered</th>
+          <th>Decline<br><small>months</small></th>
+          <th>Recovery<br><small>months</small></th>
+          <th>Underwater<br><small>months</small></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function renderBacktest() {
+  const rule = backtestRule;
+  const judged = rule.select === 'winRate' || rule.select === 'average';
+  
+  document.getElementById('backtestSelect').value = rule.select;
+  document.getElementById('backtestThresholdField').hidden = !judged;
+  document.getElementById('backtestThreshold').value = rule.threshold;
+  document.getElementById('backtestMinHistory').value = rule.minHistory;
+  document.getElementById('backtestSkipAfterRed').value = rule.skipAfterRed;
+  
+  const monthButtons = document.getElementById('backtestMonths');
+  monthButtons.hidden = rule.select !== 'months';
+  monthButtons.innerHTML = data.months.map((name, idx) => `
+    <button class="cycle-btn ${rule.months.includes(idx + 1) ? 'active' : ''}" aria-pressed="${rule.months.includes(idx + 1)}" data-month="${idx + 1}">${name}</button>
+  `).join('');
+  document.getElementById('backtestPhases').innerHTML = Object.keys(cycleGroups).map(phase => `
+    <button class="cycle-btn ${rule.phases.includes(phase) ? 'active' : ''}" aria-pressed="${rule.phases.includes(phase)}" data-phase="${phase}" style="--cycle-color: ${cycleColors[phase]}">${phase} Years</button>
+  `).join('');
+  
+  const assetData = getActiveAssetData();
+  const result = TBTAnalytics.runBacktest(assetData, rule, marketCycles);
+  const periods = result.periods;
+  
+  document.getElementById('backtestRange').textContent = periods.length > 0
+    ? `${assetData.name} · ${periods[0].year}–${periods[periods.length - 1].year}`
+    : 'Not enough history';
+  
+  const formatPct = (val, signed) => {
+    if (val === null) return '<span class="q-null">—</span>';
+    if (!signed) return `${formatValue(val)}%`;
+    const cls = val >= 0 ? 'q-positive' : 'q-negative';
+    return `<span class="${cls}">${val >= 0 ? '+' : ''}${formatValue(val)}%</span>`;
+  };
+  const statsRow = (label, stats) => `
+    <tr>
+      <td class="q-year">${label}</td>
+      <td>${formatPct(stats.cagr, true)}</td>
+      <td>${formatPct(stats.totalReturn, true)}</td>
+      <td>${formatPct(stats.maxDrawdown, true)}</td>
+      <td>${formatPct(stats.hitRate, false)}</td>
+      <td>${formatPct(stats.exposure, false)}</td>
+    </tr>
+  `;
+  document.getElementById('backtestStats').innerHTML = `
+    <table class="quarterly-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>CAGR</th>
+          <th>Total Return</th>
+          <th>Max Drawdown</th>
+          <th>Hit Rate<br><small>green months held</small></th>
+          <th>Exposure<br><small>months invested</small></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${statsRow('Strategy', result.strategy)}
+        ${statsRow('Buy & Hold', result.benchmark)}
+      </tbody>
+    </table>
+  `;
+  
+  const ctx = document.getElementById('backtestChart').getContext('2d');
+  
+  if (charts.backtest) {
+    charts.backtest.destroy();
+  }
+  
+  charts.backtest = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: periods.map(p => `${data.months[p.month - 1]} ${p.year}`),
+      datasets: [
+        {
+          label: 'Strategy',
+          data: periods.map(p => p.equity),
+          borderColor: '#0DCAB1',
+          backgroundColor: '#0DCAB1',
+          borderWidth: 2,
+          pointRadius: 0,
+          pointHoverRadius: 5,
+          fill: false
+        },
+        {
+          label: 'Buy & Hold',
+          data: periods.map(p => p.benchmark),
+          borderColor: 'rgba(255, 255, 255, 0.5)',
+          backgroundColor: 'rgba(255, 255, 255, 0.5)',
+          borderWidth: 2,
+          borderDash: [5, 5],
+          pointRadius: 0,
+          pointHoverRadius: 5,
+          fill: false
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      plugins: {
+        legend: {
+          labels: {
+            color: 'rgba(255, 255, 255, 0.8)',
+            font: { size: 12, weight: 'bold' }
+          }
+        },
+        tooltip: {
+          backgroundColor: 'rgba(10, 14, 23, 0.95)',
+          borderColor: '#0DCAB1',
+          borderWidth: 1,
+          titleColor: '#0DCAB1',
+          bodyColor: '#fff',
+          padding: 12,
+          callbacks: {
+            label: function(context) {
+              const period = periods[context.dataIndex];
+              const held = context.datasetIndex === 0 ? (period.invested ? ' (held)' : ' (cash)') : '';
+              return `${context.dataset.label}: ${context.raw.toFixed(2)}x${held}`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            maxTicksLimit: 12
+          }
+        },
+        y: {
+          type: 'logarithmic',
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            callback: value => `${value}x`
+          }
+        }
+      }
+    }
+  });
+}
+
 function renderHalvingTimeline() {
   const container = document.getElementById('halvingTimeline');
   
@@ -857,6 +2149,140 @@ function renderHalvingTimeline() {
   container.innerHTML = html;
 }
 
+function renderHalvingCycles() {
+  const assetData = getBaseAssetData();
+  const halvings = data.halvings.filter(h => !h.projected);
+  const { offsets, cycles } = TBTAnalytics.halvingAlignedPaths(assetData, halvings, 24, 36);
+  const withData = cycles.filter(c => c.levels.some(v => v !== null));
+  const current = withData[withData.length - 1];
+  
+  document.getElementById('halvingCyclesRange').textContent = assetData.name;
+  
+  const datasets = withData.map((cycle, idx) => {
+    const isCurrent = cycle === current;
+    const color = assetColors[idx % assetColors.length];
+    const topIdx = cycle.top ? offsets.indexOf(cycle.top.offset) : -1;
+    return {
+      label: `${cycle.halving.label} (${cycle.halving.year})`,
+      data: cycle.levels,
+      borderColor: isCurrent ? color : color + '99',
+      backgroundColor: color,
+      borderWidth: isCurrent ? 3 : 1.5,
+      pointRadius: cycle.levels.map((_, i) => i === topIdx ? 6 : 0),
+      pointStyle: 'triangle',
+      pointHoverRadius: 5,
+      spanGaps: false,
+      fill: false,
+      order: isCurrent ? 0 : 1
+    };
+  });
+  
+  const ctx = document.getElementById('halvingCyclesChart').getContext('2d');
+  
+  if (charts.halvingCycles) {
+    charts.halvingCycles.destroy();
+  }
+  
+  charts.halvingCycles = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: offsets.map(k => k === 0 ? 'H' : (k > 0 ? `+${k}` : `${k}`)),
+      datasets: datasets
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      plugins: {
+        legend: {
+          labels: {
+            color: 'rgba(255, 255, 255, 0.8)',
+            font: { size: 12, weight: 'bold' }
+          }
+        },
+        tooltip: {
+          backgroundColor: 'rgba(10, 14, 23, 0.95)',
+          borderColor: '#0DCAB1',
+          borderWidth: 1,
+          titleColor: '#0DCAB1',
+          bodyColor: '#fff',
+          padding: 12,
+          filter: item => item.raw !== null,
+          callbacks: {
+            title: items => `Month ${items[0].label} from halving`,
+            label: function(context) {
+              return `${context.dataset.label}: ${context.raw.toFixed(2)}x`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Months since halving',
+            color: 'rgba(255, 255, 255, 0.6)'
+          },
+          grid: {
+            color: context => context.tick && context.tick.label === 'H' ? 'rgba(255, 215, 0, 0.5)' : 'rgba(255, 255, 255, 0.05)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            autoSkip: false,
+            callback: function(value, idx) {
+              return offsets[idx] % 6 === 0 ? this.getLabelForValue(value) : '';
+            }
+          }
+        },
+        y: {
+          type: 'logarithmic',
+          grid: {
+            color: 'rgba(255, 255, 255, 0.05)'
+          },
+          ticks: {
+            color: 'rgba(255, 255, 255, 0.7)',
+            callback: value => `${value}x`
+          }
+        }
+      }
+    }
+  });
+  
+  // Observed tops against the hard-coded months-to-top figures
+  const rows = withData.map(cycle => {
+    const { halving, top } = cycle;
+    const observed = top ? `${top.offset}${top.ongoing ? '+' : ''} months` : '—';
+    const diff = top && halving.monthsToTop ? top.offset - halving.monthsToTop : null;
+    return `
+      <tr>
+        <td class="q-year">${halving.label}${cycle === current ? ' <small>(current)</small>' : ''}</td>
+        <td>${observed}${top && top.ongoing ? '<br><small>so far</small>' : ''}</td>
+        <td>${halving.monthsToTop ? `${halving.monthsToTop} months` : '—'}</td>
+        <td>${diff === null ? '—' : (diff === 0 ? 'match' : `${diff > 0 ? '+' : ''}${diff}`)}</td>
+        <td>${top ? `${top.level.toFixed(1)}x` : '—'}</td>
+      </tr>
+    `;
+  }).join('');
+  
+  document.getElementById('halvingCyclesTops').innerHTML = `
+    <table class="quarterly-table">
+      <thead>
+        <tr>
+          <th>Cycle</th>
+          <th>Observed Top<br><small>months after halving</small></th>
+          <th>Timeline Figure<br><small>months to top</small></th>
+          <th>Difference</th>
+          <th>Peak<br><small>vs pre-halving close</small></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
 function renderComparisonChart() {
   populateYearSelectors();
   renderCycleButtons();
@@ -864,7 +2290,11 @@ function renderComparisonChart() {
 }
 
 function populateYearSelectors() {
-  const years = getAvailableYears(currentAsset);
+  const years = TBTAnalytics.getAvailableYears(getBaseAssetData());
+  
+  // A quote asset can shorten the history; keep both selections valid
+  if (!years.includes(comparisonYear1)) comparisonYear1 = years[Math.max(0, years.length - 4)];
+  if (!years.includes(comparisonYear2)) comparisonYear2 = years[Math.max(0, years.length - 2)];
   
   ['year1Select', 'year2Select'].forEach((id, idx) => {
     const select = document.getElementById(id);
@@ -879,24 +2309,33 @@ function renderCycleButtons() {
   if (!container) return;
   
   container.innerHTML = `
-    <button class="cycle-btn ${selectedCycleType === 'Top' ? 'active' : ''}" data-cycle="Top" style="--cycle-color: ${cycleColors.Top}">Top Years</button>
-    <button class="cycle-btn ${selectedCycleType === 'Bottom' ? 'active' : ''}" data-cycle="Bottom" style="--cycle-color: ${cycleColors.Bottom}">Bottom Years</button>
-    <button class="cycle-btn ${selectedCycleType === 'Recovery' ? 'active' : ''}" data-cycle="Recovery" style="--cycle-color: ${cycleColors.Recovery}">Recovery Years</button>
-    <button class="cycle-btn ${selectedCycleType === 'Rally' ? 'active' : ''}" data-cycle="Rally" style="--cycle-color: ${cycleColors.Rally}">Rally Years</button>
+    <button class="cycle-btn ${selectedCycleType === 'Top' ? 'active' : ''}" aria-pressed="${selectedCycleType === 'Top'}" data-cycle="Top" style="--cycle-color: ${cycleColors.Top}">Top Years</button>
+    <button class="cycle-btn ${selectedCycleType === 'Bottom' ? 'active' : ''}" aria-pressed="${selectedCycleType === 'Bottom'}" data-cycle="Bottom" style="--cycle-color: ${cycleColors.Bottom}">Bottom Years</button>
+    <button class="cycle-btn ${selectedCycleType === 'Recovery' ? 'active' : ''}" aria-pressed="${selectedCycleType === 'Recovery'}" data-cycle="Recovery" style="--cycle-color: ${cycleColors.Recovery}">Recovery Years</button>
+    <button class="cycle-btn ${selectedCycleType === 'Rally' ? 'active' : ''}" aria-pressed="${selectedCycleType === 'Rally'}" data-cycle="Rally" style="--cycle-color: ${cycleColors.Rally}">Rally Years</button>
     <button class="cycle-btn clear-btn" data-cycle="">Clear</button>
-    <button class="toggle-btn yoy-vol-toggle ${yoyShowVolatility ? 'active' : ''}" id="yoyVolatilityToggle">
-      ${yoyShowVolatility ? '📊 Show Returns' : '📈 Show Volatility'}
+    <button class="toggle-btn yoy-vol-toggle ${yoyShowVolatility ? 'active' : ''}" id="yoyVolatilityToggle" aria-pressed="${yoyShowVolatility}" ${getVolatilityUnavailableReason() ? `disabled title="${escapeHtml(getVolatilityUnavailableReason())}"` : ''}>
+      📈 Show Volatility
+    </button>
+    <button class="toggle-btn yoy-ytd-toggle ${yoyCumulative ? 'active' : ''}" id="yoyCumulativeToggle" aria-pressed="${yoyCumulative}" ${yoyShowVolatility ? 'disabled title="Year-to-date mode applies to returns"' : ''}>
+      📈 Cumulative YTD
     </button>
   `;
 }
 
 function updateComparisonChart() {
-  const assetData = data.assets[currentAsset];
+  const assetData = getBaseAssetData();
   const labels = data.months;
-  const availableYears = getAvailableYears(currentAsset);
+  const availableYears = TBTAnalytics.getAvailableYears(assetData);
   
   // Choose data source based on volatility toggle
   const dataSource = yoyShowVolatility ? assetData.volatilityData : assetData.data;
+  const cumulative = yoyCumulative && !yoyShowVolatility;
+  
+  // Monthly values or compounded YTD path for a year; missing months stay null so the line breaks
+  const yearValues = year => cumulative
+    ? TBTAnalytics.cumulativeReturns(dataSource[year])
+    : labels.map((_, idx) => dataSource[year] && TBTAnalytics.isPresent(dataSource[year][idx + 1]) ? dataSource[year][idx + 1] : null);
   
   let datasets = [];
   
@@ -906,11 +2345,7 @@ function updateComparisonChart() {
     const color = cycleColors[selectedCycleType];
     
     cycleYears.forEach((year, idx) => {
-      const yearData = dataSource[year] || {};
-      const values = [];
-      for (let m = 1; m <= 12; m++) {
-        values.push(yearData[m] || 0);
-      }
+      const values = yearValues(year);
       
       // Vary opacity for each year
       const opacity = 0.5 + (idx * 0.2);
@@ -930,11 +2365,7 @@ function updateComparisonChart() {
     });
     
     // Add average line for this cycle
-    const avgValues = [];
-    for (let m = 1; m <= 12; m++) {
-      const monthValues = cycleYears.map(y => dataSource[y]?.[m]).filter(v => v !== null && v !== undefined);
-      avgValues.push(monthValues.length > 0 ? monthValues.reduce((a, b) => a + b, 0) / monthValues.length : 0);
-    }
+    const avgValues = TBTAnalytics.computeCycleAverage(dataSource, cycleYears, cumulative);
     
     datasets.push({
       label: `${selectedCycleType} Avg`,
@@ -949,16 +2380,8 @@ function updateComparisonChart() {
     });
   } else {
     // Show individual year comparison
-    const year1Data = dataSource[comparisonYear1] || {};
-    const year2Data = dataSource[comparisonYear2] || {};
-    
-    const values1 = [];
-    const values2 = [];
-    
-    for (let m = 1; m <= 12; m++) {
-      values1.push(year1Data[m] || 0);
-      values2.push(year2Data[m] || 0);
-    }
+    const values1 = yearValues(comparisonYear1);
+    const values2 = yearValues(comparisonYear2);
     
     datasets = [
       {
@@ -1021,11 +2444,12 @@ function updateComparisonChart() {
           titleColor: '#0DCAB1',
           bodyColor: '#fff',
           padding: 12,
+          filter: item => item.raw !== null,
           callbacks: {
             label: function(context) {
               const value = context.raw;
               const sign = value >= 0 ? '+' : '';
-              return `${context.dataset.label}: ${sign}${formatValue(value)}%`;
+              return `${context.dataset.label}: ${sign}${formatValue(value)}%${cumulative ? ' YTD' : ''}`;
             }
           }
         }
@@ -1054,54 +2478,48 @@ function updateComparisonChart() {
 }
 
 function renderInsights() {
-  const assetData = data.assets[currentAsset];
-  const stats = assetData.statistics;
+  const assetData = getPhaseAssetData();
   
   // Find best and worst months
-  let bestMonth = { month: 1, avg: -Infinity };
-  let worstMonth = { month: 1, avg: Infinity };
-  let mostVolatile = { month: 1, stdDev: 0 };
-  let highestWinRate = { month: 1, rate: 0, count: 0 };
+  const { best: bestMonth, worst: worstMonth, mostVolatile, highestWinRate } =
+    TBTAnalytics.computeInsights(assetData, statEstimator, trimPercent);
   
-  for (let m = 1; m <= 12; m++) {
-    const stat = stats[m];
-    if (stat) {
-      const value = useMedian ? stat.median : stat.average;
-      if (value > bestMonth.avg) {
-        bestMonth = { month: m, avg: value };
-      }
-      if (value < worstMonth.avg) {
-        worstMonth = { month: m, avg: value };
-      }
-      if (stat.stdDev > mostVolatile.stdDev) {
-        mostVolatile = { month: m, stdDev: stat.stdDev };
-      }
-      if (stat.win_rate > highestWinRate.rate) {
-        highestWinRate = { month: m, rate: stat.win_rate, count: stat.count };
-      }
-    }
-  }
+  const valueLabel = getEstimatorLabel();
+  const confidence = getMonthConfidence(assetData);
   
-  const valueLabel = useMedian ? 'Median' : 'Avg';
+  // Caveat for months whose edge is within the 95% interval of no edge
+  const returnFlag = month => {
+    const c = confidence[month - 1];
+    if (!c || c.significant) return '';
+    return `<div class="insight-flag">Not distinguishable from 0% (95% CI ${formatValue(c.low)}% to ${formatValue(c.high)}%, n=${c.count})</div>`;
+  };
+  const winRateFlag = month => {
+    const c = confidence[month - 1];
+    if (!c || c.winSignificant) return '';
+    return `<div class="insight-flag">Not distinguishable from a coin flip (95% CI ${formatValue(c.winLow)}% to ${formatValue(c.winHigh)}%, n=${c.count})</div>`;
+  };
   
   document.getElementById('insightsGrid').innerHTML = `
     <div class="insight-card">
       <div class="insight-icon">📈</div>
       <div class="insight-title">Best Month</div>
       <div class="insight-value">${data.months[bestMonth.month - 1]}</div>
-      <div class="insight-desc">${valueLabel} return: ${bestMonth.avg >= 0 ? '+' : ''}${formatValue(bestMonth.avg)}%</div>
+      <div class="insight-desc">${valueLabel} return: ${bestMonth.value >= 0 ? '+' : ''}${formatValue(bestMonth.value)}%</div>
+      ${returnFlag(bestMonth.month)}
     </div>
     <div class="insight-card">
       <div class="insight-icon">📉</div>
       <div class="insight-title">Worst Month</div>
       <div class="insight-value">${data.months[worstMonth.month - 1]}</div>
-      <div class="insight-desc">${valueLabel} return: ${worstMonth.avg >= 0 ? '+' : ''}${formatValue(worstMonth.avg)}%</div>
+      <div class="insight-desc">${valueLabel} return: ${worstMonth.value >= 0 ? '+' : ''}${formatValue(worstMonth.value)}%</div>
+      ${returnFlag(worstMonth.month)}
     </div>
     <div class="insight-card">
       <div class="insight-icon">🎯</div>
       <div class="insight-title">Highest Win Rate</div>
       <div class="insight-value">${data.months[highestWinRate.month - 1]}</div>
       <div class="insight-desc">${formatValue(highestWinRate.rate)}% positive months</div>
+      ${winRateFlag(highestWinRate.month)}
     </div>
     <div class="insight-card">
       <div class="insight-icon">⚡</div>
@@ -1113,50 +2531,13 @@ function renderInsights() {
 }
 
 function renderQuarterlyTable() {
-  const assetData = data.assets[currentAsset];
-  const years = getAvailableYears(currentAsset);
+  const assetData = getPhaseAssetData();
+  const years = TBTAnalytics.getAvailableYears(assetData);
   
   // Calculate quarterly data for each year
-  const quarterlyData = {};
-  let q1Total = [], q2Total = [], q3Total = [], q4Total = [];
-  
-  years.forEach(year => {
-    const yearData = assetData.data[year];
-    if (!yearData) return;
-    
-    // Q1: Jan-Mar, Q2: Apr-Jun, Q3: Jul-Sep, Q4: Oct-Dec
-    const q1 = [yearData[1], yearData[2], yearData[3]].filter(v => v !== null && v !== undefined);
-    const q2 = [yearData[4], yearData[5], yearData[6]].filter(v => v !== null && v !== undefined);
-    const q3 = [yearData[7], yearData[8], yearData[9]].filter(v => v !== null && v !== undefined);
-    const q4 = [yearData[10], yearData[11], yearData[12]].filter(v => v !== null && v !== undefined);
-    
-    // Compound quarterly returns
-    const compoundReturn = (arr) => {
-      if (arr.length === 0) return null;
-      let compound = 1;
-      arr.forEach(r => { compound *= (1 + r / 100); });
-      return (compound - 1) * 100;
-    };
-    
-    quarterlyData[year] = {
-      q1: compoundReturn(q1),
-      q2: compoundReturn(q2),
-      q3: compoundReturn(q3),
-      q4: compoundReturn(q4)
-    };
-    
-    if (quarterlyData[year].q1 !== null) q1Total.push(quarterlyData[year].q1);
-    if (quarterlyData[year].q2 !== null) q2Total.push(quarterlyData[year].q2);
-    if (quarterlyData[year].q3 !== null) q3Total.push(quarterlyData[year].q3);
-    if (quarterlyData[year].q4 !== null) q4Total.push(quarterlyData[year].q4);
-  });
-  
-  // Calculate averages
-  const avg = arr => arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
-  const avgQ1 = avg(q1Total);
-  const avgQ2 = avg(q2Total);
-  const avgQ3 = avg(q3Total);
-  const avgQ4 = avg(q4Total);
+  const quarterly = TBTAnalytics.computeQuarterlyData(assetData);
+  const quarterlyData = quarterly.years;
+  const averages = quarterly.averages;
   
   // Build table HTML
   let html = `
@@ -1181,14 +2562,6 @@ function renderQuarterlyTable() {
     const qd = quarterlyData[year];
     if (!qd) return;
     
-    const annual = [qd.q1, qd.q2, qd.q3, qd.q4].filter(v => v !== null);
-    let annualReturn = null;
-    if (annual.length > 0) {
-      let compound = 1;
-      annual.forEach(r => { compound *= (1 + r / 100); });
-      annualReturn = (compound - 1) * 100;
-    }
-    
     const formatQ = (val) => {
       if (val === null) return '<span class="q-null">—</span>';
       const cls = val >= 0 ? 'q-positive' : 'q-negative';
@@ -1202,7 +2575,7 @@ function renderQuarterlyTable() {
         <td>${formatQ(qd.q2)}</td>
         <td>${formatQ(qd.q3)}</td>
         <td>${formatQ(qd.q4)}</td>
-        <td>${formatQ(annualReturn)}</td>
+        <td>${formatQ(qd.annual)}</td>
       </tr>
     `;
   });
@@ -1216,11 +2589,11 @@ function renderQuarterlyTable() {
   html += `
       <tr class="q-avg-row">
         <td class="q-year">Avg</td>
-        <td>${formatQ(avgQ1)}</td>
-        <td>${formatQ(avgQ2)}</td>
-        <td>${formatQ(avgQ3)}</td>
-        <td>${formatQ(avgQ4)}</td>
-        <td>${formatQ(avgQ1 + avgQ2 + avgQ3 + avgQ4)}</td>
+        <td>${formatQ(averages.q1)}</td>
+        <td>${formatQ(averages.q2)}</td>
+        <td>${formatQ(averages.q3)}</td>
+        <td>${formatQ(averages.q4)}</td>
+        <td>${formatQ(averages.annual)}</td>
       </tr>
     </tbody>
     </table>
@@ -1229,16 +2602,663 @@ function renderQuarterlyTable() {
   document.getElementById('quarterlyTable').innerHTML = html;
 }
 
+// ---------- Export ----------
+
+const exportBrand = 'TBT · the Better Crypto Calendar';
+const exportLayout = { padding: 20, headerHeight: 84, rowHeight: 26, firstColumnWidth: 80, columnWidth: 60 };
+
+// Export table cell: raw value for CSV, display text and colors for images
+function exportCell(value, text, fill, color) {
+  return { value: value, text: text, fill: fill || null, color: color || null };
+}
+
+function percentExportCell(value, fill, colorBySign) {
+  const present = value !== null && value !== undefined;
+  const color = colorBySign && present ? (value >= 0 ? '#00CC00' : '#ff4757') : getTextColor(present ? value : null);
+  return exportCell(
+    present ? Math.round(value * 100) / 100 : null,
+    present ? `${value > 0 ? '+' : ''}${formatValue(value)}%` : '—',
+    fill,
+    color
+  );
+}
+
+// Heatmap as { title, subtitle, columns, rows }: the estimator row, then one row per year
+function getHeatmapExportTable() {
+  const assetData = getActiveAssetData();
+  const years = getActiveYears();
+  const dataSource = showVolatility ? assetData.volatilityData : assetData.data;
+  const drawdowns = TBTAnalytics.yearMaxDrawdowns(assetData);
+  const summary = TBTAnalytics.monthEstimates(assetData, statEstimator, trimPercent);
+  const scale = getColorScale();
+  
+  const rows = [[
+    exportCell('', ''),
+    exportCell(TBTAnalytics.ESTIMATORS[statEstimator].short, TBTAnalytics.ESTIMATORS[statEstimator].short),
+    ...summary.map(value => percentExportCell(value, getReturnColor(value, scale))),
+    exportCell(null, ''),
+    exportCell(null, ''),
+    exportCell(null, '')
+  ]];
+  years.forEach(year => {
+    const yearData = dataSource[year] || {};
+    const values = data.months.map((_, idx) => TBTAnalytics.isPresent(yearData[idx + 1]) ? yearData[idx + 1] : null);
+    const greenRed = assetData.greenRedData[year] || { green: 0, red: 0 };
+    const phase = marketCycles[year] || '';
+    rows.push([
+      exportCell(phase, phase, null, phase ? cycleColors[phase] : null),
+      exportCell(year, String(year)),
+      ...values.map(value => percentExportCell(value, getReturnColor(value, scale))),
+      exportCell(greenRed.green, String(greenRed.green), null, '#00CC00'),
+      exportCell(greenRed.red, String(greenRed.red), null, '#ff4757'),
+      percentExportCell(TBTAnalytics.isPresent(drawdowns[year]) ? drawdowns[year] : null, null, true)
+    ]);
+  });
+  
+  return {
+    title: `Monthly ${showVolatility ? 'Volatility' : 'Returns'}`,
+    subtitle: `${assetData.name} · ${getRangeLabel(assetData)}`,
+    columns: ['Cycle', 'Year', ...data.months, 'Green', 'Red', 'Max DD'],
+    rows: rows
+  };
+}
+
+// Quarterly table as shown: the last 8 years and the average row
+function getQuarterlyExportTable() {
+  const assetData = getPhaseAssetData();
+  const quarterly = TBTAnalytics.computeQuarterlyData(assetData);
+  const keys = ['q1', 'q2', 'q3', 'q4', 'annual'];
+  const rows = TBTAnalytics.getAvailableYears(assetData).slice(-8)
+    .filter(year => quarterly.years[year])
+    .map(year => [exportCell(year, String(year)), ...keys.map(key => percentExportCell(quarterly.years[year][key], null, true))]);
+  rows.push([exportCell('Avg', 'Avg'), ...keys.map(key => percentExportCell(quarterly.averages[key], null, true))]);
+  
+  return {
+    title: 'Quarterly Performance',
+    subtitle: `${assetData.name} · ${getRangeLabel(assetData, getActivePhase())}`,
+    columns: ['Year', 'Q1', 'Q2', 'Q3', 'Q4', 'Annual'],
+    rows: rows
+  };
+}
+
+function tableToCsv(table) {
+  return TBTAnalytics.formatCsv([table.columns, ...table.rows.map(row => row.map(cell => cell.value))]);
+}
+
+// Self-contained SVG of an export table under the branded header; returns { svg, width, height }
+function tableToSvg(table) {
+  const { padding, headerHeight, rowHeight, firstColumnWidth, columnWidth } = exportLayout;
+  const widths = table.columns.map((_, idx) => idx === 0 ? firstColumnWidth : columnWidth);
+  const width = padding * 2 + widths.reduce((a, b) => a + b, 0);
+  const height = headerHeight + rowHeight * (table.rows.length + 1) + padding;
+  const columnX = widths.map((_, idx) => padding + widths.slice(0, idx).reduce((a, b) => a + b, 0));
+  
+  const text = (x, y, content, attrs) =>
+    `<text x="${x}" y="${y}" ${attrs}>${escapeHtml(content)}</text>`;
+  const parts = [
+    `<rect width="${width}" height="${height}" fill="#0a0e17"/>`,
+    text(padding, 28, exportBrand, 'fill="#0DCAB1" font-size="13" font-weight="700"'),
+    text(padding, 52, table.title, 'fill="#ffffff" font-size="18" font-weight="700"'),
+    text(padding, 70, table.subtitle, 'fill="rgba(255,255,255,0.6)" font-size="12"')
+  ];
+  table.columns.forEach((column, idx) => {
+    parts.push(text(columnX[idx] + widths[idx] / 2, headerHeight + 17, column,
+      'fill="rgba(255,255,255,0.7)" font-size="11" font-weight="600" text-anchor="middle"'));
+  });
+  table.rows.forEach((row, rowIdx) => {
+    const y = headerHeight + rowHeight * (rowIdx + 1);
+    row.forEach((cell, idx) => {
+      if (cell.fill) {
+        parts.push(`<rect x="${columnX[idx] + 1}" y="${y + 1}" width="${widths[idx] - 2}" height="${rowHeight - 2}" rx="3" fill="${cell.fill}"/>`);
+      }
+      parts.push(text(columnX[idx] + widths[idx] / 2, y + 17, cell.text,
+        `fill="${cell.color || '#ffffff'}" font-size="11" font-weight="600" text-anchor="middle"`));
+    });
+  });
+  
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Inter, Arial, sans-serif">${parts.join('')}</svg>`;
+  return { svg: svg, width: width, height: height };
+}
+
+// Rasterize an SVG at 2x for sharper images in documents
+function svgToPngBlob(svg, width, height) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * 2;
+      canvas.height = height * 2;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(2, 2);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the PNG')), 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render the SVG'));
+    };
+    img.src = url;
+  });
+}
+
+// Chart canvas under the same branded header as the tables
+function chartToPngBlob(chart, title, subtitle) {
+  const source = chart.canvas;
+  const scale = chart.width ? source.width / chart.width : 1;
+  const { padding, headerHeight } = exportLayout;
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width + padding * 2 * scale;
+  canvas.height = source.height + (headerHeight + padding) * scale;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#0a0e17';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.scale(scale, scale);
+  ctx.fillStyle = '#0DCAB1';
+  ctx.font = '700 13px Inter, Arial, sans-serif';
+  ctx.fillText(exportBrand, padding, 28);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = '700 18px Inter, Arial, sans-serif';
+  ctx.fillText(title, padding, 52);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+  ctx.font = '12px Inter, Arial, sans-serif';
+  ctx.fillText(subtitle, padding, 70);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.drawImage(source, padding * scale, headerHeight * scale);
+  
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the PNG')), 'image/png');
+  });
+}
+
+// Title and subtitle of each exportable chart, read from the current view
+const chartExports = {
+  seasonality: () => ({
+    title: document.getElementById('seasonalityTitle').textContent,
+    assetData: getPhaseAssetData(),
+    phase: getActivePhase()
+  }),
+  winRate: () => ({
+    title: 'Monthly Win Rate',
+    assetData: getPhaseAssetData(),
+    phase: getActivePhase()
+  }),
+  comparison: () => ({
+    title: `Year-over-Year ${yoyCumulative && !yoyShowVolatility ? 'YTD Return' : (yoyShowVolatility ? 'Volatility' : 'Returns')}: ` +
+      (selectedCycleType ? `${selectedCycleType} Years` : `${comparisonYear1} vs ${comparisonYear2}`),
+    assetData: getBaseAssetData(),
+    phase: null
+  })
+};
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Save a card as CSV, SVG or PNG, e.g. tbt-BTC-heatmap-2011-2026.png
+async function exportCard(target, format) {
+  document.getElementById('exportStatus').hidden = true;
+  const tables = { heatmap: getHeatmapExportTable, quarterly: getQuarterlyExportTable };
+  const fileName = (assetData, ext) => {
+    const years = TBTAnalytics.getAvailableYears(assetData);
+    return `tbt-${assetData.name.replace(/[^A-Za-z0-9]+/g, '-')}-${target}-${years[0]}-${years[years.length - 1]}.${ext}`;
+  };
+  
+  try {
+    if (tables[target]) {
+      const table = tables[target]();
+      const assetData = target === 'heatmap' ? getActiveAssetData() : getPhaseAssetData();
+      if (format === 'csv') {
+        downloadBlob(new Blob([tableToCsv(table)], { type: 'text/csv' }), fileName(assetData, 'csv'));
+        return;
+      }
+      const { svg, width, height } = tableToSvg(table);
+      const blob = format === 'svg'
+        ? new Blob([svg], { type: 'image/svg+xml' })
+        : await svgToPngBlob(svg, width, height);
+      downloadBlob(blob, fileName(assetData, format));
+      return;
+    }
+    
+    if (chartExports[target] && charts[target]) {
+      const { title, assetData, phase } = chartExports[target]();
+      const blob = await chartToPngBlob(charts[target], title, `${assetData.name} · ${getRangeLabel(assetData, phase)}`);
+      downloadBlob(blob, fileName(assetData, 'png'));
+    }
+  } catch (error) {
+    console.error(`Failed to export ${target} as ${format}:`, error);
+    const names = { quarterly: 'quarterly table', seasonality: 'seasonality chart', winRate: 'win rate chart', comparison: 'year comparison chart' };
+    showExportStatus(`Could not export the ${names[target] || target} as ${format.toUpperCase()}: ${error.message}`);
+  }
+}
+
+// Visible (and announced, via role="alert") notice for a failed export; clears itself after a while
+function showExportStatus(message) {
+  const status = document.getElementById('exportStatus');
+  status.textContent = message;
+  status.hidden = false;
+  clearTimeout(exportStatusTimer);
+  exportStatusTimer = setTimeout(() => { status.hidden = true; }, 8000);
+}
+
+// ---------- Month-close report ----------
+
+const reportStyles = `
+  body { margin: 0; padding: 32px; background: #0a0e17; color: #fff; font-family: Inter, Arial, sans-serif; }
+  main { max-width: 1080px; margin: 0 auto; }
+  .brand { color: #0DCAB1; font-weight: 700; font-size: 13px; }
+  h1 { font-size: 26px; margin: 6px 0 4px; }
+  h2 { font-size: 18px; margin: 32px 0 12px; border-left: 4px solid #0DCAB1; padding-left: 8px; }
+  .meta, .note { color: rgba(255, 255, 255, 0.6); font-size: 13px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 12px; }
+  .item { background: rgba(15, 23, 42, 0.9); border: 1px solid rgba(13, 202, 177, 0.3); border-radius: 10px; padding: 14px; }
+  .value { font-size: 24px; font-weight: 800; }
+  .label { color: rgba(255, 255, 255, 0.7); font-size: 13px; margin-top: 4px; }
+  .positive { color: #00CC00; }
+  .negative { color: #ff4757; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { padding: 6px 10px; text-align: center; border-bottom: 1px solid rgba(255, 255, 255, 0.1); }
+  th { color: rgba(255, 255, 255, 0.7); }
+  img, svg { max-width: 100%; height: auto; display: block; margin-bottom: 16px; }
+`;
+
+// Standalone HTML summary of the latest month close; numbers come from the same analytics calls
+// as the statistics, insights and quarterly cards, charts are embedded as data URLs
+function buildMonthlyReport() {
+  const assetData = getActiveAssetData();
+  const phaseData = getPhaseAssetData();
+  const latest = TBTAnalytics.latestMonth(assetData);
+  const close = TBTAnalytics.monthCloseSummary(assetData, latest.year, latest.month);
+  const keyStats = TBTAnalytics.computeKeyStatistics(phaseData, statEstimator, trimPercent);
+  const insights = TBTAnalytics.computeInsights(phaseData, statEstimator, trimPercent);
+  const quarterly = getQuarterlyExportTable();
+  const heatmap = getHeatmapExportTable();
+  const signed = value => value === null ? '—' : `${value > 0 ? '+' : ''}${formatValue(value)}%`;
+  const signClass = value => value === null ? '' : (value >= 0 ? 'positive' : 'negative');
+  const item = (value, label, className) => `
+    <div class="item">
+      <div class="value ${className === undefined ? signClass(value) : className}">${typeof value === 'string' ? value : signed(value)}</div>
+      <div class="label">${label}</div>
+    </div>`;
+  
+  const monthLabel = `${getMonthName(close.month)} ${close.year}`;
+  const nextName = getMonthName(close.next.month);
+  const closeItems = [
+    item(close.value, `${monthLabel} return · median ${signed(close.median)} over ${close.count} years`),
+    item(close.rank !== null ? `${TBTAnalytics.ordinal(close.rank)} of ${close.count + 1}` : '—', `${getMonthName(close.month)} rank (1 = best)`, ''),
+    item(close.ytd, `${close.year} year to date`),
+    item(close.quarter.value, `${close.quarter.quarter} to date (${close.quarter.monthsDone} of 3 months) · median full ${close.quarter.quarter} ${signed(close.quarter.median)}`),
+    item(close.next.median, `${nextName} median · average ${signed(close.next.average)}`),
+    item(close.next.winRate !== null ? `${formatValue(close.next.winRate)}%` : '—', `${nextName} win rate (${close.next.count} years)`, '')
+  ];
+  
+  const { winRate, currentStreak, streakType, prevYear, prevBest, prevWorst } = keyStats;
+  const statItems = [
+    item(keyStats.typicalReturn, `${getEstimatorLabel()} monthly performance`),
+    item(`${formatValue(winRate)}%`, 'Months closing green', ''),
+    item(prevBest.value, `Best ${prevYear} (${data.months[prevBest.month - 1]})`),
+    item(prevWorst.value, `Worst ${prevYear} (${data.months[prevWorst.month - 1]})`),
+    item(String(currentStreak), `Current streak (${streakType} months)`, ''),
+    item(data.months[insights.best.month - 1], `Best month · ${getEstimatorLabel()} ${signed(insights.best.value)}`, 'positive'),
+    item(data.months[insights.worst.month - 1], `Worst month · ${getEstimatorLabel()} ${signed(insights.worst.value)}`, 'negative'),
+    item(data.months[insights.highestWinRate.month - 1], `Highest win rate · ${formatValue(insights.highestWinRate.rate)}% green`, ''),
+    item(data.months[insights.mostVolatile.month - 1], `Most volatile · σ ${formatValue(insights.mostVolatile.stdDev)}%`, '')
+  ];
+  
+  const quarterlyRows = quarterly.rows.map(row => `
+    <tr>${row.map((cell, idx) => `<td class="${idx > 0 ? signClass(cell.value) : ''}">${escapeHtml(cell.text)}</td>`).join('')}</tr>`).join('');
+  const chartImage = (key, alt) => charts[key]
+    ? `<img src="${charts[key].toBase64Image()}" alt="${escapeHtml(alt)}">`
+    : '';
+  const seasonalityTitle = document.getElementById('seasonalityTitle').textContent;
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(`${assetData.name} ${monthLabel} month-close report | TBT`)}</title>
+<style>${reportStyles}</style>
+</head>
+<body>
+<main>
+  <div class="brand">${escapeHtml(exportBrand)}</div>
+  <h1>${escapeHtml(assetData.name)} · ${monthLabel} Month Close</h1>
+  <div class="meta">Generated ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })} · history ${escapeHtml(getRangeLabel(assetData))} · statistic: ${escapeHtml(getEstimatorLabel())}</div>
+  
+  <h2>Month Close</h2>
+  <div class="grid">${closeItems.join('')}</div>
+  
+  <h2>Key Statistics &amp; Insights</h2>
+  <div class="meta">${escapeHtml(quarterly.subtitle)}</div>
+  <div class="grid">${statItems.join('')}</div>
+  
+  <h2>Quarterly Performance</h2>
+  <table>
+    <thead><tr>${quarterly.columns.map(column => `<th>${column}</th>`).join('')}</tr></thead>
+    <tbody>${quarterlyRows}</tbody>
+  </table>
+  
+  <h2>${escapeHtml(heatmap.title)}</h2>
+  ${tableToSvg(heatmap).svg}
+  
+  <h2>Seasonality</h2>
+  ${chartImage('seasonality', seasonalityTitle)}
+  ${chartImage('winRate', 'Monthly win rate')}
+  
+  <h2>Year-over-Year Comparison</h2>
+  ${chartImage('comparison', chartExports.comparison().title)}
+  
+  <p class="note">Historical returns are not a forecast. Ranks and medians compare the month with the same month in every other year in the selected range.</p>
+</main>
+</body>
+</html>
+`;
+}
+
+function generateReport() {
+  const assetData = getActiveAssetData();
+  const latest = TBTAnalytics.latestMonth(assetData);
+  if (!latest) return;
+  const month = String(latest.month).padStart(2, '0');
+  downloadBlob(
+    new Blob([buildMonthlyReport()], { type: 'text/html' }),
+    `tbt-${assetData.name.replace(/[^A-Za-z0-9]+/g, '-')}-report-${latest.year}-${month}.html`
+  );
+}
+
 function setupEventListeners() {
   // Asset selector
   document.getElementById('assetSelector').addEventListener('click', (e) => {
     if (e.target.classList.contains('asset-btn')) {
-      document.querySelectorAll('.asset-btn').forEach(btn => btn.classList.remove('active'));
-      e.target.classList.add('active');
+      document.querySelectorAll('.asset-btn').forEach(btn => {
+        btn.classList.toggle('active', btn === e.target);
+        btn.setAttribute('aria-pressed', btn === e.target);
+      });
       currentAsset = e.target.dataset.asset;
       selectedCycleType = null; // Reset cycle selection
+      if (quoteAsset === currentAsset) quoteAsset = null;
+      if (getVolatilityUnavailableReason()) {
+        showVolatility = false;
+        yoyShowVolatility = false;
+      }
+      renderQuoteSelector();
+      syncToggleButtons();
       renderDashboard();
+      pushUrlState();
+    }
+  });
+  
+  // Custom assets (the panel is re-rendered after every change)
+  const customAssets = document.getElementById('customAssets');
+  const showCustomAssetError = (error) => {
+    customAssetError = error.message;
+    renderCustomAssets();
+  };
+  
+  customAssets.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const file = form.elements.file.files[0];
+    if (!file) return;
+    // Rows without an asset column take the typed name, else the file name
+    const typedKey = form.elements.key.value.trim();
+    const fileKey = file.name.replace(/\.[^.]*$/, '').toUpperCase().replace(/[^A-Z0-9._-]/g, '').slice(0, 12);
+    try {
+      const assets = TBTAnalytics.parseAssetFile(file.name, await file.text(), typedKey || fileKey).assets;
+      if (typedKey && assets.length === 1) assets[0].asset = typedKey;
+      addCustomAssets(assets);
+    } catch (error) {
+      showCustomAssetError(new Error(`${file.name}: ${error.message}`));
+    }
+  });
+  
+  customAssets.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('custom-asset-name')) return;
+    try {
+      renameCustomAsset(e.target.dataset.asset, e.target.value.trim());
+    } catch (error) {
+      showCustomAssetError(error);
+    }
+  });
+  
+  customAssets.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('custom-asset-remove')) return;
+    try {
+      removeCustomAsset(e.target.dataset.asset);
+    } catch (error) {
+      showCustomAssetError(error);
+    }
+  });
+  
+  // Historical performance controls (re-rendered with the section)
+  document.getElementById('forecastSection').addEventListener('click', (e) => {
+    if (e.target.closest('#forecastPhaseToggle')) {
+      forecastByPhase = !forecastByPhase;
+      renderForecastSection();
+      pushUrlState();
+    }
+  });
+  
+  document.getElementById('forecastSection').addEventListener('change', async (e) => {
+    if (e.target.id === 'forecastMonthSelect') {
+      forecastMonth = parseInt(e.target.value);
+      renderForecastSection();
+      pushUrlState();
+      return;
+    }
+    
+    // Forecaster import
+    if (e.target.id !== 'forecastFile' || !e.target.files[0]) return;
+    const file = e.target.files[0];
+    try {
+      forecastData = parseForecastFile(file.name, await file.text());
+      forecastError = null;
+    } catch (error) {
+      forecastError = `${file.name}: ${error.message}`;
+    }
+    renderForecastSection();
+    renderRegimePanel();
+  });
+  
+  // Regime threshold rules (the panel is re-rendered after every edit)
+  const regimeSection = document.getElementById('regimeSection');
+  const rerenderRegimeRules = () => {
+    saveRegimeRules();
+    renderRegimePanel();
+    regimeSection.querySelector('.regime-rules').open = true;
+  };
+  
+  regimeSection.addEventListener('submit', (e) => {
+    if (e.target.id !== 'regimeRuleForm') return;
+    e.preventDefault();
+    const form = e.target;
+    try {
+      const keys = getRegimeIndicators().map(ind => ind.key);
+      regimeRules = regimeRules.concat([TBTAnalytics.parseRegimeRule({
+        indicator: form.elements.indicator.value,
+        op: form.elements.op.value,
+        value: form.elements.value.value.trim()
+      }, keys)]);
+    } catch (error) {
+      document.getElementById('regimeRuleError').textContent = error.message;
+      return;
+    }
+    rerenderRegimeRules();
+  });
+  
+  regimeSection.addEventListener('click', (e) => {
+    const remove = e.target.closest('.regime-rule-remove');
+    if (remove) {
+      regimeRules = regimeRules.filter((_, idx) => idx !== parseInt(remove.dataset.rule));
+      rerenderRegimeRules();
+    } else if (e.target.id === 'regimeRulesReset') {
+      try {
+        localStorage.removeItem(regimeRulesStorageKey);
+      } catch (error) {
+        // Storage unavailable; nothing was saved
+      }
+      regimeRules = regimeConfig ? regimeConfig.rules : [];
+      renderRegimePanel();
+      regimeSection.querySelector('.regime-rules').open = true;
+    }
+  });
+  
+  document.getElementById('generateReport').addEventListener('click', generateReport);
+  
+  // Export menus on the cards
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-export]');
+    if (!button) return;
+    button.closest('details').open = false;
+    exportCard(button.dataset.export, button.dataset.format);
+  });
+  
+  document.getElementById('phaseFilterSelect').addEventListener('change', (e) => {
+    phaseFilter = e.target.value || null;
+    renderDashboard();
+    pushUrlState();
+  });
+  
+  document.getElementById('cycleModelSelect').addEventListener('change', (e) => {
+    cycleModelId = e.target.value;
+    applyCycleModel();
+    renderDashboard();
+    pushUrlState();
+  });
+  
+  // Quote asset ("priced in")
+  document.getElementById('quoteSelect').addEventListener('change', (e) => {
+    quoteAsset = e.target.value || null;
+    if (getVolatilityUnavailableReason()) {
+      showVolatility = false;
+      yoyShowVolatility = false;
     }
+    syncToggleButtons();
+    renderDashboard();
+    pushUrlState();
+  });
+  
+  // Global year range
+  ['rangeFromSelect', 'rangeToSelect'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      const years = getAllYears();
+      let from = parseInt(document.getElementById('rangeFromSelect').value);
+      let to = parseInt(document.getElementById('rangeToSelect').value);
+      if (from > to) [from, to] = [to, from];
+      
+      // Full extent means "no filter", so new data years are picked up automatically
+      yearRangeFrom = from === years[0] ? null : from;
+      yearRangeTo = to === years[years.length - 1] ? null : to;
+      renderYearRangeSelector();
+      renderDashboard();
+      pushUrlState();
+    });
+  });
+  
+  document.getElementById('rangeReset').addEventListener('click', () => {
+    yearRangeFrom = null;
+    yearRangeTo = null;
+    renderYearRangeSelector();
+    renderDashboard();
+    pushUrlState();
+  });
+  
+  // Multi-asset seasonality overlay
+  document.getElementById('overlayAssets').addEventListener('click', (e) => {
+    const asset = e.target.dataset.asset;
+    if (!asset) return;
+    overlayAssets = overlayAssets.includes(asset)
+      ? overlayAssets.filter(a => a !== asset)
+      : Object.keys(data.assets).filter(a => a === asset || overlayAssets.includes(a));
+    renderSeasonalityOverlay();
+    pushUrlState();
+  });
+  
+  document.getElementById('projectionPhaseToggle').addEventListener('click', () => {
+    projectionByPhase = !projectionByPhase;
+    renderProjection();
+    pushUrlState();
+  });
+  
+  // Backtest settings
+  const updateBacktest = (changes) => {
+    backtestRule = Object.assign({}, backtestRule, changes);
+    renderBacktest();
+    pushUrlState();
+  };
+  
+  document.getElementById('backtestSelect').addEventListener('change', (e) => {
+    const select = e.target.value;
+    // Each rule type has its own threshold scale
+    const threshold = select === backtestRule.select ? backtestRule.threshold : (select === 'average' ? 0 : defaultBacktestRule.threshold);
+    updateBacktest({ select: select, threshold: threshold });
+  });
+  
+  document.getElementById('backtestThreshold').addEventListener('change', (e) => {
+    const threshold = parseFloat(e.target.value);
+    updateBacktest(isFinite(threshold) ? { threshold: threshold } : {});
+  });
+  
+  document.getElementById('backtestMinHistory').addEventListener('change', (e) => {
+    const years = parseInt(e.target.value);
+    updateBacktest(years >= 1 && years <= 10 ? { minHistory: years } : {});
+  });
+  
+  document.getElementById('backtestSkipAfterRed').addEventListener('change', (e) => {
+    const months = parseInt(e.target.value);
+    updateBacktest(months >= 0 && months <= 12 ? { skipAfterRed: months } : {});
+  });
+  
+  document.getElementById('backtestMonths').addEventListener('click', (e) => {
+    const month = parseInt(e.target.dataset.month);
+    if (!month) return;
+    const months = backtestRule.months.includes(month)
+      ? backtestRule.months.filter(m => m !== month)
+      : backtestRule.months.concat([month]).sort((a, b) => a - b);
+    updateBacktest({ months: months });
+  });
+  
+  document.getElementById('backtestPhases').addEventListener('click', (e) => {
+    const phase = e.target.dataset.phase;
+    if (!phase) return;
+    const phases = backtestRule.phases.includes(phase)
+      ? backtestRule.phases.filter(p => p !== phase)
+      : Object.keys(cycleGroups).filter(p => p === phase || backtestRule.phases.includes(p));
+    updateBacktest({ phases: phases });
+  });
+  
+  document.getElementById('overlayMetricToggle').addEventListener('click', () => {
+    overlayShowWinRate = !overlayShowWinRate;
+    renderSeasonalityOverlay();
+    pushUrlState();
+  });
+  
+  document.getElementById('overlayTypeToggle').addEventListener('click', () => {
+    overlayUseLines = !overlayUseLines;
+    renderSeasonalityOverlay();
+    pushUrlState();
+  });
+  
+  // Correlation matrix options
+  document.getElementById('correlationMethodSelect').addEventListener('change', (e) => {
+    correlationMethod = e.target.value;
+    renderCorrelationMatrix();
+    pushUrlState();
+  });
+  
+  document.getElementById('correlationPhaseSelect').addEventListener('change', (e) => {
+    correlationPhase = e.target.value || null;
+    renderCorrelationMatrix();
+    pushUrlState();
   });
   
   // Year comparison selectors
@@ -1247,6 +3267,7 @@ function setupEventListeners() {
     selectedCycleType = null;
     renderCycleButtons();
     updateComparisonChart();
+    pushUrlState();
   });
   
   document.getElementById('year2Select').addEventListener('change', (e) => {
@@ -1254,6 +3275,7 @@ function setupEventListeners() {
     selectedCycleType = null;
     renderCycleButtons();
     updateComparisonChart();
+    pushUrlState();
   });
   
   // Cycle buttons
@@ -1263,6 +3285,7 @@ function setupEventListeners() {
       selectedCycleType = cycle || null;
       renderCycleButtons();
       updateComparisonChart();
+      pushUrlState();
     }
     
     // YoY Volatility toggle
@@ -1270,128 +3293,401 @@ function setupEventListeners() {
       yoyShowVolatility = !yoyShowVolatility;
       renderCycleButtons(); // Re-render to update button text
       updateComparisonChart();
+      pushUrlState();
+    }
+    
+    // YoY monthly / cumulative YTD toggle
+    if (e.target.id === 'yoyCumulativeToggle') {
+      yoyCumulative = !yoyCumulative;
+      renderCycleButtons();
+      updateComparisonChart();
+      pushUrlState();
     }
   });
   
   // Volatility toggle
   document.getElementById('volatilityToggle').addEventListener('click', () => {
     showVolatility = !showVolatility;
-    document.getElementById('volatilityToggle').classList.toggle('active', showVolatility);
-    document.getElementById('volatilityToggle').textContent = showVolatility ? '📊 Show Returns' : '📈 Show Volatility';
+    syncToggleButtons();
     renderHeatmap();
+    pushUrlState();
   });
   
-  // Function to sync all median toggles and update displays
-  function toggleMedian() {
-    useMedian = !useMedian;
-    
-    // Update all toggle buttons
-    const mainToggle = document.getElementById('medianToggle');
-    const seasonalityToggle = document.getElementById('seasonalityMedianToggle');
-    
-    mainToggle.classList.toggle('active', useMedian);
-    mainToggle.textContent = useMedian ? '📉 Use Average' : '📊 Use Median';
-    
-    seasonalityToggle.classList.toggle('active', useMedian);
-    seasonalityToggle.textContent = useMedian ? '📉 Use Average' : '📊 Use Median';
-    
-    // Update seasonality chart title
-    document.getElementById('seasonalityTitle').textContent = 
-      useMedian ? 'Median Return by Month' : 'Average Return by Month';
+  // Re-render everything that depends on the estimator
+  function onEstimatorChange() {
+    // Update all synced selectors
+    syncToggleButtons();
     
     // Re-render affected components
     renderHeatmap();
     renderStatistics();
     renderSeasonalityChart();
+    renderSeasonalityOverlay();
     renderInsights();
+    pushUrlState();
   }
   
-  // Median/Average toggle - main grid toggle
-  document.getElementById('medianToggle').addEventListener('click', toggleMedian);
+  // Statistic selectors - heatmap controls and seasonality chart (synced)
+  document.querySelectorAll('.estimator-select').forEach(select => {
+    select.addEventListener('change', (e) => {
+      statEstimator = e.target.value;
+      onEstimatorChange();
+    });
+  });
+  
+  document.querySelectorAll('.trim-input').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const value = parseInt(e.target.value);
+      trimPercent = isNaN(value) ? trimPercent : Math.min(45, Math.max(0, value));
+      onEstimatorChange();
+    });
+  });
+  
+  // Heatmap color scale
+  document.getElementById('paletteSelect').addEventListener('change', (e) => {
+    colorPalette = e.target.value;
+    renderHeatmap();
+    pushUrlState();
+  });
+  
+  document.getElementById('colorBoundsSelect').addEventListener('change', (e) => {
+    colorBoundsAuto = e.target.value === 'auto';
+    renderHeatmap();
+    pushUrlState();
+  });
   
-  // Median/Average toggle - seasonality chart toggle (synced)
-  document.getElementById('seasonalityMedianToggle').addEventListener('click', toggleMedian);
+  // Bounds must keep 0 inside the scale; anything else snaps back on re-render
+  document.querySelectorAll('.color-bound-input').forEach(input => {
+    input.addEventListener('change', () => {
+      const min = parseInt(document.getElementById('colorMinInput').value);
+      const max = parseInt(document.getElementById('colorMaxInput').value);
+      if (min < 0 && max > 0) colorBounds = { min, max };
+      renderHeatmap();
+      pushUrlState();
+    });
+  });
   
   // Tooltip on heatmap
+  const heatmap = document.getElementById('heatmap');
   const tooltip = document.getElementById('tooltip');
   
-  document.getElementById('heatmap').addEventListener('mousemove', (e) => {
+  heatmap.addEventListener('mousemove', (e) => {
     if (e.target.classList.contains('heatmap-cell') && !e.target.classList.contains('null')) {
-      const year = e.target.dataset.year;
-      const month = parseInt(e.target.dataset.month);
-      const value = parseFloat(e.target.dataset.value);
-      
-      if (!year || isNaN(month) || isNaN(value)) return;
-      
-      const dataType = showVolatility ? 'Volatility' : 'Return';
-      
-      tooltip.querySelector('.tooltip-title').textContent = 
-        `${data.months[month - 1]} ${year}`;
-      
-      const valueEl = tooltip.querySelector('.tooltip-value');
-      valueEl.textContent = `${dataType}: ${(value >= 0 ? '+' : '')}${formatValue(value)}%`;
-      valueEl.className = 'tooltip-value ' + (value >= 0 ? 'positive' : 'negative');
-      
-      tooltip.style.left = (e.clientX + 15) + 'px';
-      tooltip.style.top = (e.clientY - 10) + 'px';
-      tooltip.classList.add('visible');
+      showHeatmapTooltip(e.target, e.clientX + 15, e.clientY - 10);
     }
   });
   
-  document.getElementById('heatmap').addEventListener('mouseleave', () => {
+  heatmap.addEventListener('mouseleave', () => {
     tooltip.classList.remove('visible');
   });
   
-  document.getElementById('heatmap').addEventListener('mouseout', (e) => {
+  heatmap.addEventListener('mouseout', (e) => {
     if (e.target.classList.contains('heatmap-cell')) {
       tooltip.classList.remove('visible');
     }
   });
   
+  // Keyboard focus: keep the tab stop on the focused cell and show its tooltip beside it
+  heatmap.addEventListener('focusin', (e) => {
+    const row = e.target.parentElement;
+    if (!row || row.getAttribute('role') !== 'row') return;
+    const rows = [...heatmap.querySelectorAll('[role="row"]')];
+    focusHeatmapCell(rows.indexOf(row), [...row.children].indexOf(e.target), false);
+    
+    tooltip.classList.remove('visible');
+    if (e.target.classList.contains('heatmap-cell') && !e.target.classList.contains('null')) {
+      const rect = e.target.getBoundingClientRect();
+      showHeatmapTooltip(e.target, rect.right + 8, rect.top);
+    }
+  });
+  
+  heatmap.addEventListener('focusout', () => {
+    tooltip.classList.remove('visible');
+  });
+  
+  // Arrow keys move between cells, Home/End within the row (with Ctrl, to the first/last row),
+  // Enter or Space toggles the row's highlight (the cycle's from the Cycle column)
+  heatmap.addEventListener('keydown', (e) => {
+    const row = e.target.parentElement;
+    if (!row || row.getAttribute('role') !== 'row') return;
+    const rows = [...heatmap.querySelectorAll('[role="row"]')];
+    let rowIdx = rows.indexOf(row);
+    let colIdx = [...row.children].indexOf(e.target);
+    
+    switch (e.key) {
+      case 'ArrowRight': colIdx++; break;
+      case 'ArrowLeft': colIdx--; break;
+      case 'ArrowDown': rowIdx++; break;
+      case 'ArrowUp': rowIdx--; break;
+      case 'Home':
+        colIdx = 0;
+        if (e.ctrlKey) rowIdx = 0;
+        break;
+      case 'End':
+        colIdx = row.children.length - 1;
+        if (e.ctrlKey) rowIdx = rows.length - 1;
+        break;
+      case 'Escape':
+        tooltip.classList.remove('visible');
+        return;
+      case 'Enter':
+      case ' ': {
+        e.preventDefault();
+        const onCycle = e.target.classList.contains('heatmap-cycle') && e.target.dataset.cycle;
+        if (onCycle || (!row.dataset.yearRow && row.dataset.cycleRow)) {
+          toggleHeatmapHighlight(onCycle || row.dataset.cycleRow, null);
+        } else if (row.dataset.yearRow) {
+          toggleHeatmapHighlight(null, row.dataset.yearRow);
+        }
+        return;
+      }
+      default:
+        return;
+    }
+    e.preventDefault();
+    focusHeatmapCell(rowIdx, colIdx, true);
+  });
+  
   // Heatmap row highlighting - click on cycle or year
-  document.getElementById('heatmap').addEventListener('click', (e) => {
+  heatmap.addEventListener('click', (e) => {
     const target = e.target;
     
     // Click on cycle label
     if (target.classList.contains('heatmap-cycle') && target.dataset.cycle) {
-      const clickedCycle = target.dataset.cycle;
-      
-      // Toggle - if same cycle clicked, clear highlight
-      if (highlightedCycle === clickedCycle) {
-        highlightedCycle = null;
-        highlightedYear = null;
-      } else {
-        highlightedCycle = clickedCycle;
-        highlightedYear = null;
-      }
-      
-      applyRowHighlighting();
+      toggleHeatmapHighlight(target.dataset.cycle, null);
       return;
     }
     
     // Click on year label
     if (target.classList.contains('heatmap-year') && target.dataset.rowYear) {
-      const clickedYear = target.dataset.rowYear;
-      
-      // Toggle - if same year clicked, clear highlight
-      if (highlightedYear === clickedYear) {
-        highlightedYear = null;
-        highlightedCycle = null;
-      } else {
-        highlightedYear = clickedYear;
-        highlightedCycle = null;
-      }
-      
-      applyRowHighlighting();
-      return;
+      toggleHeatmapHighlight(null, target.dataset.rowYear);
     }
   });
+  
+  // Browser back/forward - restore the view from the URL
+  window.addEventListener('popstate', () => {
+    applyStateParams(readUrlParams());
+    renderAssetSelector();
+    renderQuoteSelector();
+    renderYearRangeSelector();
+    renderCycleModelSelector();
+    syncToggleButtons();
+    renderDashboard();
+  });
+}
+
+// Reflect toggle state in the static header buttons and titles
+function syncToggleButtons() {
+  const volatilityToggle = document.getElementById('volatilityToggle');
+  volatilityToggle.classList.toggle('active', showVolatility);
+  volatilityToggle.setAttribute('aria-pressed', showVolatility);
+  const volatilityUnavailable = getVolatilityUnavailableReason();
+  volatilityToggle.disabled = !!volatilityUnavailable;
+  volatilityToggle.title = volatilityUnavailable || '';
+  
+  const usesTrim = !!TBTAnalytics.ESTIMATORS[statEstimator].usesTrim;
+  document.querySelectorAll('.estimator-select').forEach(select => {
+    select.value = statEstimator;
+  });
+  document.querySelectorAll('.trim-input').forEach(input => {
+    input.value = trimPercent;
+    input.closest('.trim-control').hidden = !usesTrim;
+  });
+  
+  // Update seasonality chart title
+  document.getElementById('seasonalityTitle').textContent = `${getEstimatorLabel()} Return by Month`;
+}
+
+// Legend generated from the active scale, so its colors and bounds always match the heatmap
+function renderColorLegend(scale) {
+  const { negative, positive } = scale.palette;
+  const zeroAt = (-scale.min / (scale.max - scale.min) * 100).toFixed(1);
+  const bar = document.getElementById('colorScaleBar');
+  bar.style.background = `linear-gradient(90deg, ${rampColor(negative, 1)} 0%, ${rampColor(negative, 0)} ${zeroAt}%, ` +
+    `${rampColor(positive, 0)} ${zeroAt}%, ${rampColor(positive, 1)} 100%)`;
+  bar.title = scale.auto
+    ? `Auto: ${autoColorTail}th to ${100 - autoColorTail}th percentile of the visible ${showVolatility ? 'volatility' : 'returns'}`
+    : 'Colors saturate at the fixed bounds';
+  document.getElementById('colorScaleMin').textContent = `≤ ${scale.min}%`;
+  document.getElementById('colorScaleMax').textContent = `≥ +${scale.max}%`;
+  document.getElementById('legendPositive').style.background = rampColor(positive, 0.7);
+  document.getElementById('legendNegative').style.background = rampColor(negative, 0.7);
+  // Volatility keeps the month's direction in its sign
+  document.getElementById('legendPositiveLabel').textContent = showVolatility ? 'Green Month Volatility' : 'Positive Return';
+  document.getElementById('legendNegativeLabel').textContent = showVolatility ? 'Red Month Volatility' : 'Negative Return';
+  
+  const paletteSelect = document.getElementById('paletteSelect');
+  if (paletteSelect.options.length === 0) {
+    paletteSelect.innerHTML = Object.entries(colorPalettes)
+      .map(([key, palette]) => `<option value="${key}">${palette.label}</option>`).join('');
+  }
+  paletteSelect.value = colorPalette;
+  document.getElementById('colorBoundsSelect').value = scale.auto ? 'auto' : 'fixed';
+  
+  // Auto mode shows the bounds it picked but doesn't take edits
+  const minInput = document.getElementById('colorMinInput');
+  const maxInput = document.getElementById('colorMaxInput');
+  minInput.value = scale.min;
+  maxInput.value = scale.max;
+  minInput.disabled = scale.auto;
+  maxInput.disabled = scale.auto;
+}
+
+// Label for the active estimator, e.g. "Trimmed mean (10%)"
+function getEstimatorLabel() {
+  return TBTAnalytics.estimatorLabel(statEstimator, trimPercent);
+}
+
+// ========== URL STATE (shareable deep links) ==========
+
+function readUrlParams() {
+  return new URLSearchParams(window.location.hash.replace(/^#/, ''));
+}
+
+// Serialize the current view state; defaults are left out to keep links short
+function buildStateHash() {
+  const params = new URLSearchParams();
+  params.set('asset', currentAsset);
+  if (quoteAsset) params.set('quote', quoteAsset);
+  params.set('y1', comparisonYear1);
+  params.set('y2', comparisonYear2);
+  if (yearRangeFrom !== null) params.set('from', yearRangeFrom);
+  if (yearRangeTo !== null) params.set('to', yearRangeTo);
+  if (phaseFilter) params.set('phase', phaseFilter);
+  if (cycleModelId !== defaultCycleModel) params.set('cycles', cycleModelId);
+  if (showVolatility) params.set('vol', '1');
+  if (yoyShowVolatility) params.set('yoyVol', '1');
+  if (yoyCumulative) params.set('yoyYtd', '1');
+  if (colorPalette !== 'redGreen') params.set('palette', colorPalette);
+  if (colorBoundsAuto) {
+    params.set('scale', 'auto');
+  } else if (colorBounds.min !== defaultColorBounds.min || colorBounds.max !== defaultColorBounds.max) {
+    params.set('scale', `${colorBounds.min},${colorBounds.max}`);
+  }
+  if (statEstimator !== 'mean') params.set('stat', statEstimator);
+  if (TBTAnalytics.ESTIMATORS[statEstimator].usesTrim) params.set('trim', trimPercent);
+  if (selectedCycleType) params.set('cycle', selectedCycleType);
+  if (overlayAssets.join(',') !== 'BTC,ETH') params.set('overlay', overlayAssets.join(','));
+  if (overlayShowWinRate) params.set('overlayWin', '1');
+  if (overlayUseLines) params.set('overlayLines', '1');
+  if (correlationMethod !== 'pearson') params.set('corr', correlationMethod);
+  if (correlationPhase) params.set('corrPhase', correlationPhase);
+  if (projectionByPhase) params.set('projPhase', '1');
+  const bt = backtestRule;
+  if (bt.select !== defaultBacktestRule.select) params.set('bt', bt.select);
+  if (bt.threshold !== defaultBacktestRule.threshold) params.set('btThr', bt.threshold);
+  if (bt.months.length > 0) params.set('btMonths', bt.months.join(','));
+  if (bt.phases.length > 0) params.set('btPhases', bt.phases.join(','));
+  if (bt.skipAfterRed !== defaultBacktestRule.skipAfterRed) params.set('btSkip', bt.skipAfterRed);
+  if (bt.minHistory !== defaultBacktestRule.minHistory) params.set('btMin', bt.minHistory);
+  if (forecastMonth !== new Date().getMonth() + 1) params.set('fMonth', forecastMonth);
+  if (forecastByPhase) params.set('fPhase', '1');
+  if (highlightedCycle) params.set('hlCycle', highlightedCycle);
+  if (highlightedYear) params.set('hlYear', highlightedYear);
+  return '#' + params.toString();
+}
+
+// Apply URL params to the global state, ignoring anything that doesn't match the data
+function applyStateParams(params) {
+  if (data.assets[params.get('asset')]) {
+    currentAsset = params.get('asset');
+  }
+  const quote = params.get('quote');
+  quoteAsset = data.assets[quote] && quote !== currentAsset ? quote : null;
+  
+  const years = TBTAnalytics.getAvailableYears(getBaseAssetData());
+  const year1 = parseInt(params.get('y1'));
+  const year2 = parseInt(params.get('y2'));
+  if (years.includes(year1)) comparisonYear1 = year1;
+  if (years.includes(year2)) comparisonYear2 = year2;
+  
+  const allYears = getAllYears();
+  const from = parseInt(params.get('from'));
+  const to = parseInt(params.get('to'));
+  yearRangeFrom = allYears.includes(from) ? from : null;
+  yearRangeTo = allYears.includes(to) ? to : null;
+  const cycles = params.get('cycles');
+  cycleModelId = cycleModels.some(model => model.id === cycles) ? cycles : defaultCycleModel;
+  applyCycleModel();
+  const phase = params.get('phase');
+  phaseFilter = cycleGroups[phase] ? phase : null;
+  
+  showVolatility = !getVolatilityUnavailableReason() && params.get('vol') === '1';
+  yoyShowVolatility = !getVolatilityUnavailableReason() && params.get('yoyVol') === '1';
+  yoyCumulative = params.get('yoyYtd') === '1';
+  colorPalette = colorPalettes[params.get('palette')] ? params.get('palette') : 'redGreen';
+  // 'auto' or fixed "min,max" bounds
+  const scale = params.get('scale') || '';
+  const [scaleMin, scaleMax] = scale.split(',').map(Number);
+  colorBoundsAuto = scale === 'auto';
+  colorBounds = scaleMin < 0 && scaleMax > 0 ? { min: scaleMin, max: scaleMax } : { ...defaultColorBounds };
+  // 'median=1' is the pre-selector form of stat=median
+  const stat = params.get('stat') || (params.get('median') === '1' ? 'median' : null);
+  statEstimator = TBTAnalytics.ESTIMATORS[stat] ? stat : 'mean';
+  const trim = parseInt(params.get('trim'));
+  if (trim >= 0 && trim <= 45) trimPercent = trim;
+  
+  if (params.has('overlay')) {
+    const requested = params.get('overlay').split(',');
+    overlayAssets = Object.keys(data.assets).filter(a => requested.includes(a));
+  } else {
+    overlayAssets = ['BTC', 'ETH'];
+  }
+  overlayShowWinRate = params.get('overlayWin') === '1';
+  overlayUseLines = params.get('overlayLines') === '1';
+  
+  correlationMethod = params.get('corr') === 'spearman' ? 'spearman' : 'pearson';
+  const corrPhase = params.get('corrPhase');
+  correlationPhase = cycleGroups[corrPhase] ? corrPhase : null;
+  
+  projectionByPhase = params.get('projPhase') === '1';
+  
+  const btSelect = params.get('bt');
+  const btThreshold = parseFloat(params.get('btThr'));
+  const btSkip = parseInt(params.get('btSkip'));
+  const btMin = parseInt(params.get('btMin'));
+  const btPhases = (params.get('btPhases') || '').split(',');
+  backtestRule = {
+    select: ['winRate', 'average', 'months', 'all'].includes(btSelect) ? btSelect : defaultBacktestRule.select,
+    threshold: isFinite(btThreshold) ? btThreshold : defaultBacktestRule.threshold,
+    months: (params.get('btMonths') || '').split(',').map(Number).filter(m => m >= 1 && m <= 12),
+    phases: Object.keys(cycleGroups).filter(p => btPhases.includes(p)),
+    skipAfterRed: btSkip >= 0 && btSkip <= 12 ? btSkip : defaultBacktestRule.skipAfterRed,
+    minHistory: btMin >= 1 && btMin <= 10 ? btMin : defaultBacktestRule.minHistory
+  };
+  
+  const fMonth = parseInt(params.get('fMonth'));
+  forecastMonth = fMonth >= 1 && fMonth <= 12 ? fMonth : new Date().getMonth() + 1;
+  forecastByPhase = params.get('fPhase') === '1' && !!getCurrentPhase();
+  
+  const cycle = params.get('cycle');
+  selectedCycleType = cycleGroups[cycle] ? cycle : null;
+  
+  const hlCycle = params.get('hlCycle');
+  const hlYear = params.get('hlYear');
+  highlightedCycle = cycleGroups[hlCycle] ? hlCycle : null;
+  highlightedYear = !highlightedCycle && years.includes(parseInt(hlYear)) ? hlYear : null;
+}
+
+// Record a state change as a new history entry
+function pushUrlState() {
+  const hash = buildStateHash();
+  if (hash !== window.location.hash) {
+    history.pushState(null, '', hash);
+  }
 }
 
 // Apply row highlighting based on highlightedCycle or highlightedYear
 function applyRowHighlighting() {
   const allElements = document.querySelectorAll('#heatmap [data-row-year]');
   
+  document.querySelectorAll('#heatmap [role="row"][aria-selected]').forEach(row => {
+    const selected = highlightedCycle
+      ? row.dataset.cycleRow === highlightedCycle
+      : !!highlightedYear && row.dataset.yearRow === highlightedYear;
+    row.setAttribute('aria-selected', selected);
+  });
+  
   if (!highlightedCycle && !highlightedYear) {
     // Clear all highlighting
     allElements.forEach(el => {
@@ -0,0 +1,655 @@
+/**
+ * Golden-value tests for analytics.js against the bundled data.json
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const TBTAnalytics = require('../analytics.js');
+const rawData = require(path.join(__dirname, '..', 'data.json'));
+
+const model = TBTAnalytics.buildModel(rawData);
+const btc = model.assets.BTC;
+const eth = model.assets.ETH;
+
+function assertClose(actual, expected, epsilon = 1e-6) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${expected}, got ${actual}`);
+}
+
+test('helpers', () => {
+  assert.equal(TBTAnalytics.mean([]), 0);
+  assert.equal(TBTAnalytics.median([3, 1, 2]), 2);
+  assert.equal(TBTAnalytics.median([4, 1, 2, 3]), 2.5);
+  assertClose(TBTAnalytics.stdDev([2, 4, 4, 4, 5, 5, 7, 9]), 2);
+  assert.equal(TBTAnalytics.compound([]), null);
+  assertClose(TBTAnalytics.compound([10, -10]), -1);
+});
+
+test('robust estimators', () => {
+  const values = [-50, -10, 0, 5, 10, 20, 300];
+  assertClose(TBTAnalytics.trimmedMean(values, 15), 5);
+  assertClose(TBTAnalytics.winsorizedMean(values, 15), (-10 - 10 + 0 + 5 + 10 + 20 + 20) / 7);
+  assert.equal(TBTAnalytics.trimmedMean([1, 2], 50), 1.5);
+  assertClose(TBTAnalytics.geometricMean([100, -50]), 0);
+  assert.equal(TBTAnalytics.geometricMean([10, -100]), -100);
+  assert.equal(TBTAnalytics.estimate(values, 'median'), 5);
+  assert.equal(TBTAnalytics.estimate(values, 'mean'), TBTAnalytics.mean(values));
+  assert.equal(TBTAnalytics.estimatorLabel('winsorized', 10), 'Winsorized mean (10%)');
+  assert.equal(TBTAnalytics.estimatorLabel('geometric', 10), 'Geometric mean');
+});
+
+test('buildModel normalizes every asset', () => {
+  assert.deepEqual(Object.keys(model.assets),
+    ['BTC', 'ETH', 'TOTAL2', 'TOTAL3', 'OTHERS', 'TOTALES', 'TOTALE50', 'TOTALE100']);
+  assert.deepEqual(model.months, TBTAnalytics.MONTHS);
+  assert.equal(btc.name, 'BTC');
+  assert.deepEqual(TBTAnalytics.getAvailableYears(btc)[0], 2011);
+  assert.deepEqual(TBTAnalytics.getAvailableYears(eth),
+    [2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025, 2026]);
+  assert.equal(btc.data[2013][11], 468);
+  assert.equal(btc.data[2026][1], -10);
+  assert.equal(btc.data[2026][2], null);
+  assert.deepEqual(btc.greenRedData[2012], { green: 10, red: 2 });
+  assert.equal(btc.volatilityData[2011][4], 599);
+  assert.equal(btc.volatilityData[2026], undefined);
+  assert.deepEqual(btc.average, [9, 15, 11, 34, 19, 7, 8, -1, -4, 14, 37, 8]);
+});
+
+test('per-month statistics', () => {
+  assert.deepEqual(btc.statistics[1], {
+    average: 9.25, median: 5, win_rate: 56, volatility: 51.4, stdDev: 29.43, count: 16
+  });
+  assert.deepEqual(btc.statistics[11], {
+    average: 36.87, median: 9, win_rate: 60, volatility: 72.27, stdDev: 117.72, count: 15
+  });
+});
+
+test('key statistics', () => {
+  const stats = TBTAnalytics.computeKeyStatistics(btc, 'median');
+  assertClose(stats.averageReturn, 13.033149171270718);
+  assert.equal(stats.typicalReturn, 3);
+  assert.equal(stats.medianReturn, 3);
+  assertClose(stats.winRate, 56.424581005586596);
+  assert.equal(stats.totalGreen, 101);
+  assert.equal(stats.totalRed, 78);
+  assert.deepEqual(stats.bestMonth, { value: 468, year: 2013, month: 11 });
+  assert.deepEqual(stats.worstMonth, { value: -38, year: 2011, month: 8 });
+  assertClose(stats.averageAnnualReturn, 590.5019365565245);
+  assert.equal(stats.currentStreak, 4);
+  assert.equal(stats.streakType, 'red');
+  assert.equal(stats.medianStreak, 3);
+  assert.equal(stats.prevYear, 2025);
+  assert.deepEqual(stats.prevBest, { value: 14, month: 4 });
+  assert.deepEqual(stats.prevWorst, { value: -18, month: 2 });
+
+  const ethStats = TBTAnalytics.computeKeyStatistics(eth);
+  assert.equal(ethStats.currentStreak, 5);
+  assert.deepEqual(ethStats.bestMonth, { value: 218, year: 2017, month: 3 });
+});
+
+test('insights', () => {
+  const insights = TBTAnalytics.computeInsights(btc, 'mean');
+  assert.equal(insights.best.month, 11);
+  assertClose(insights.best.value, 36.866666666666667);
+  assert.equal(insights.worst.month, 9);
+  assertClose(insights.worst.value, -3.8);
+  assert.deepEqual(insights.mostVolatile, { month: 11, stdDev: 117.72 });
+  assert.deepEqual(insights.highestWinRate, { month: 2, rate: 67, count: 15 });
+});
+
+test('month estimates', () => {
+  const medians = TBTAnalytics.monthEstimates(btc, 'median');
+  assert.deepEqual(medians, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map(m => btc.statistics[m].median));
+  const geo = TBTAnalytics.monthEstimates(btc, 'geometric');
+  assert.ok(geo[10] < TBTAnalytics.monthEstimates(btc, 'mean')[10]);
+  const trimmed = TBTAnalytics.monthEstimates(btc, 'trimmed', 10);
+  assert.ok(trimmed[10] < 36.87);
+});
+
+test('correlation', () => {
+  assertClose(TBTAnalytics.pearson([1, 2, 3], [2, 4, 6]), 1);
+  assertClose(TBTAnalytics.pearson([1, 2, 3], [3, 2, 1]), -1);
+  assert.equal(TBTAnalytics.pearson([1, 1, 1], [1, 2, 3]), null);
+  assertClose(TBTAnalytics.spearman([1, 2, 3, 4], [1, 8, 27, 1000]), 1);
+  assertClose(TBTAnalytics.spearman([1, 2, 2, 3], [1, 2, 2, 3]), 1);
+
+  const matrix = TBTAnalytics.correlationMatrix({ BTC: btc, ETH: eth }, 'pearson');
+  assert.deepEqual(matrix.keys, ['BTC', 'ETH']);
+  assertClose(matrix.cells[0][0].value, 1);
+  assert.equal(matrix.cells[0][1], matrix.cells[1][0]);
+  assert.equal(matrix.cells[0][1].count, 126);
+  assert.ok(matrix.cells[0][1].value > 0.3 && matrix.cells[0][1].value < 1);
+
+  const topYears = TBTAnalytics.correlationMatrix({ BTC: btc, ETH: eth }, 'spearman', [2017, 2021, 2025]);
+  assert.equal(topYears.cells[0][1].count, 36);
+});
+
+test('quarterly data', () => {
+  const quarterly = TBTAnalytics.computeQuarterlyData(btc);
+  const row = quarterly.years[2024];
+  assertClose(row.q1, 70.1648);
+  assertClose(row.q2, -12.2545);
+  assertClose(row.q3, 0.2911);
+  assertClose(row.q4, 47.5079);
+  assertClose(row.annual, 120.88806746512918);
+  assert.equal(quarterly.years[2026].q2, null);
+  assertClose(quarterly.averages.q1, 55.11584375);
+  assertClose(quarterly.averages.annual, 285.17049041666667);
+});
+
+test('month outlook medians with sample counts', () => {
+  const outlook = TBTAnalytics.computeMonthOutlook(btc, 2);
+  const closes = TBTAnalytics.getAvailableYears(btc).map(y => btc.data[y][2]).filter(v => v !== null);
+  assert.equal(outlook.close.count, closes.length);
+  assertClose(outlook.close.value, TBTAnalytics.median(closes));
+  assert.equal(outlook.nextQuarter.quarter, 'Q2');
+  assert.equal(outlook.nextQuarter.count, closes.length);
+  assert.equal(TBTAnalytics.computeMonthOutlook(btc, 1).nextQuarter.count, closes.length); // 2026 Q2 is still open
+
+  const bottom = TBTAnalytics.computeMonthOutlook(btc, 11, [2014, 2018, 2022]);
+  assert.equal(bottom.close.count, 3);
+  assert.equal(bottom.nextQuarter.quarter, 'Q1');
+  assertClose(bottom.nextQuarter.value, TBTAnalytics.median([2015, 2019, 2023].map(y =>
+    TBTAnalytics.compound([1, 2, 3].map(m => btc.data[y][m])))));
+  assert.ok(bottom.volatility.value >= 0);
+});
+
+test('month-close summary ranks the latest month against its history', () => {
+  assert.deepEqual(TBTAnalytics.latestMonth(btc), { year: 2026, month: 1 });
+  assert.equal(TBTAnalytics.ordinal(12), '12th');
+  assert.equal(TBTAnalytics.ordinal(22), '22nd');
+
+  const close = TBTAnalytics.monthCloseSummary(btc, 2026, 1);
+  const history = TBTAnalytics.getAvailableYears(btc).filter(y => y !== 2026).map(y => btc.data[y][1]).filter(v => v !== null);
+  assert.equal(close.value, -10);
+  assert.equal(close.count, history.length);
+  assert.equal(close.median, TBTAnalytics.median(history));
+  assert.equal(close.rank, 1 + history.filter(v => v > -10).length);
+  assertClose(close.ytd, -10);
+  assert.equal(close.quarter.quarter, 'Q1');
+  assert.equal(close.quarter.monthsDone, 1);
+  assert.equal(close.next.month, 2);
+  assert.equal(close.next.count, btc.statistics[2].count);
+
+  const december = TBTAnalytics.monthCloseSummary(btc, 2024, 12);
+  assertClose(december.ytd, TBTAnalytics.computeQuarterlyData(btc).years[2024].annual);
+  assertClose(december.quarter.value, TBTAnalytics.computeQuarterlyData(btc).years[2024].q4);
+  assert.equal(december.next.month, 1);
+});
+
+test('backtest judges months walk-forward against buy-and-hold', () => {
+  const toy = TBTAnalytics.normalizeAsset({
+    asset: 'TOY',
+    years: [
+      { year: 2020, returns: [10, -10, 10, -10, 10, -10, 10, -10, 10, -10, 10, -10], green: 6, red: 6 },
+      { year: 2021, returns: [10, -10, 10, -10, 10, -10, 10, -10, 10, -10, 10, -10], green: 6, red: 6 },
+      { year: 2022, returns: [-10, 10, -10, 10, -10, 10, -10, 10, -10, 10, -10, 10], green: 6, red: 6 }
+    ],
+    volatility: []
+  });
+
+  const hold = TBTAnalytics.runBacktest(toy, { select: 'all', minHistory: 1 });
+  assert.equal(hold.periods.length, 24);
+  assertClose(hold.strategy.totalReturn, hold.benchmark.totalReturn);
+  assert.equal(hold.strategy.exposure, 100);
+
+  // Only 2020 informs 2021 and only 2020-21 inform 2022, so the flip in 2022 is all losses
+  const seasonal = TBTAnalytics.runBacktest(toy, { select: 'winRate', threshold: 60, minHistory: 1 });
+  assert.equal(seasonal.strategy.exposure, 50);
+  assert.equal(seasonal.strategy.hitRate, 50);
+  assertClose(seasonal.strategy.totalReturn, (Math.pow(1.1, 6) * Math.pow(0.9, 6) - 1) * 100);
+  assertClose(seasonal.strategy.maxDrawdown, (Math.pow(0.9, 6) - 1) * 100);
+
+  const phased = TBTAnalytics.runBacktest(toy, { select: 'all', phases: ['Top'], minHistory: 1 }, { 2021: 'Top' });
+  assert.equal(phased.periods.filter(p => p.invested).length, 12);
+
+  const skip = TBTAnalytics.runBacktest(toy, { select: 'all', skipAfterRed: 1, minHistory: 1 });
+  // In after every green month, which here always precedes a red one (Dec 2020 counts for Jan 2021)
+  assert.equal(skip.periods.filter(p => p.invested).length, 11);
+  assert.equal(skip.strategy.hitRate, 0);
+});
+
+test('halving-aligned paths index cumulative returns to the halving month', () => {
+  const halvings = [{ year: 2020, month: 5 }, { year: 2024, month: 4 }];
+  const { offsets, cycles } = TBTAnalytics.halvingAlignedPaths(btc, halvings, 24, 36);
+  assert.equal(offsets.length, 61);
+  const at = (cycle, k) => cycle.levels[offsets.indexOf(k)];
+
+  const third = cycles[0];
+  assert.equal(at(third, -1), 1);
+  assertClose(at(third, 0), 1 + btc.data[2020][5] / 100);
+  assertClose(at(third, 1), (1 + btc.data[2020][5] / 100) * (1 + btc.data[2020][6] / 100));
+  assertClose(at(third, -2), 1 / (1 + btc.data[2020][4] / 100));
+  assert.ok(third.top.offset > 0 && !third.top.ongoing);
+  assert.equal(third.top.level, Math.max(...third.levels.slice(offsets.indexOf(0)).filter(v => v !== null)));
+
+  // The 4th cycle runs out of data after Jan 2026 (offset 21)
+  const fourth = cycles[1];
+  assert.notEqual(at(fourth, 21), null);
+  assert.equal(at(fourth, 22), null);
+});
+
+test('drawdowns compound monthly returns into an underwater curve', () => {
+  const toy = TBTAnalytics.normalizeAsset({
+    asset: 'TOY',
+    years: [
+      { year: 2020, returns: [10, -50, 20, 50, 10, null, null, null, null, null, null, null], green: 4, red: 1 },
+      { year: 2021, returns: [-10, -10, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], green: 0, red: 2 }
+    ],
+    volatility: []
+  });
+
+  const curve = TBTAnalytics.underwaterCurve(toy);
+  assert.equal(curve.length, 17);
+  assertClose(curve[1].drawdown, -50);
+  assertClose(curve[4].level, 1.1 * 0.5 * 1.2 * 1.5 * 1.1);
+  assertClose(curve[4].drawdown, (curve[4].level / 1.1 - 1) * 100); // still below the Jan high
+
+  const episodes = TBTAnalytics.drawdownEpisodes(toy);
+  assert.equal(episodes.length, 1);
+  assert.deepEqual(episodes[0].start, { year: 2020, month: 1 });
+  assert.deepEqual(episodes[0].trough, { year: 2020, month: 2 });
+  assert.equal(episodes[0].recovery, null);
+  assertClose(episodes[0].depth, -50);
+  assert.equal(episodes[0].declineMonths, 1);
+  assert.equal(episodes[0].totalMonths, 23);
+
+  const yearly = TBTAnalytics.yearMaxDrawdowns(toy);
+  assertClose(yearly[2020], -50);
+  assertClose(yearly[2021], -19);
+
+  const btcEpisodes = TBTAnalytics.drawdownEpisodes(btc, 3);
+  assert.equal(btcEpisodes.length, 3);
+  assert.ok(btcEpisodes[0].depth <= btcEpisodes[1].depth && btcEpisodes[1].depth <= btcEpisodes[2].depth);
+  assert.deepEqual(btcEpisodes[2].trough, { year: 2019, month: 1 });
+});
+
+test('cycle phase models extend past the known years', () => {
+  const halvings = TBTAnalytics.extendHalvings([
+    { year: 2020, month: 5, label: '3rd Halving', block: 630000, reward: '6.25 BTC', monthsToTop: 18 },
+    { year: 2024, month: 4, label: '4th Halving', block: 840000, reward: '3.125 BTC', monthsToTop: 18 }
+  ], 2030);
+  assert.deepEqual(halvings.map(h => h.year), [2020, 2024, 2028, 2032]);
+  assert.equal(halvings[3].label, '6th Halving');
+  assert.equal(halvings[3].reward, '0.78125 BTC');
+  assert.ok(halvings[2].projected && !halvings[1].projected);
+
+  const calendar = TBTAnalytics.parseCycleModel({
+    id: 'calendar', type: 'sequence', anchorYear: 2013, startYear: 2013, sequence: ['Top', 'Bottom', 'Recovery', 'Rally']
+  });
+  const { phases, groups } = TBTAnalytics.buildCyclePhases(calendar, 2011, 2030);
+  assert.equal(phases[2012], '');
+  assert.equal(phases[2025], 'Top');
+  assert.equal(phases[2027], 'Recovery');
+  assert.deepEqual(groups.Bottom, [2014, 2018, 2022, 2026, 2030]);
+
+  // Phase by years since the latest halving, measured at mid-year
+  const byHalving = TBTAnalytics.parseCycleModel({ id: 'h', type: 'halving', sequence: ['Rally', 'Top', 'Bottom', 'Recovery'] });
+  const cycles = TBTAnalytics.buildCyclePhases(byHalving, 2019, 2029, halvings);
+  assert.equal(cycles.phases[2019], '');
+  assert.equal(cycles.phases[2020], 'Rally');
+  assert.equal(cycles.phases[2023], 'Recovery');
+  assert.equal(cycles.phases[2029], 'Top');
+  assert.deepEqual(cycles.groups.Top, [2021, 2025, 2029]);
+
+  const table = TBTAnalytics.parseCycleModel({ id: 't', type: 'table', phases: { 2021: 'Top' } });
+  assert.deepEqual(TBTAnalytics.buildCyclePhases(table, 2020, 2022).groups.Top, [2021]);
+  assert.throws(() => TBTAnalytics.parseCycleModel({ id: 'x', type: 'table', phases: { 2021: 'Peak' } }), /Peak/);
+  assert.throws(() => TBTAnalytics.parseCycleModels({ version: 2, models: [] }), /version/);
+});
+
+test('percentile interpolates and seededRandom repeats', () => {
+  assert.equal(TBTAnalytics.percentile([4, 1, 3, 2], 50), 2.5);
+  assert.equal(TBTAnalytics.percentile([1, 2, 3, 4, 5], 25), 2);
+  assert.equal(TBTAnalytics.percentile([], 50), null);
+  const a = TBTAnalytics.seededRandom(7);
+  const b = TBTAnalytics.seededRandom(7);
+  const draws = [a(), a(), a()];
+  assert.deepEqual(draws, [b(), b(), b()]);
+  assert.ok(draws.every(v => v >= 0 && v < 1));
+});
+
+test('rest-of-year projection compounds draws onto the realized YTD', () => {
+  const projection = TBTAnalytics.projectRestOfYear(btc, 2026, { simulations: 2000, random: TBTAnalytics.seededRandom(1) });
+  assert.equal(projection.lastRealized, 1);
+  assertClose(projection.ytd, btc.data[2026][1]);
+  assert.deepEqual(projection.months, [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+  assert.ok(projection.yearEnd[5] <= projection.yearEnd[50] && projection.yearEnd[50] <= projection.yearEnd[95]);
+  assert.ok(projection.probGreen > 0 && projection.probGreen < 100);
+  assert.equal(projection.sampleSizes[0], 15);
+  assert.equal(TBTAnalytics.projectRestOfYear(btc, 2025), null);
+
+  // A single-year pool makes every path identical
+  const fixed = TBTAnalytics.projectRestOfYear(btc, 2026, { simulations: 50, sampleYears: [2022] });
+  const expected = TBTAnalytics.compound([btc.data[2026][1]].concat([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map(m => btc.data[2022][m])));
+  assertClose(fixed.yearEnd[5], expected);
+  assertClose(fixed.yearEnd[95], expected);
+  assert.equal(fixed.probGreen, expected > 0 ? 100 : 0);
+});
+
+test('confidence intervals for month statistics', () => {
+  const wilson = TBTAnalytics.wilsonInterval(8, 10);
+  assertClose(wilson.low, 49.016, 0.01);
+  assertClose(wilson.high, 94.331, 0.01);
+  assert.equal(TBTAnalytics.wilsonInterval(0, 0), null);
+
+  const boot = TBTAnalytics.bootstrapInterval([1, 2, 3, 4, 5], TBTAnalytics.mean, { random: TBTAnalytics.seededRandom(3) });
+  assert.ok(boot.low >= 1 && boot.low < 3 && boot.high > 3 && boot.high <= 5);
+  assert.deepEqual(TBTAnalytics.bootstrapInterval([2, 2, 2], TBTAnalytics.median), { low: 2, high: 2 });
+
+  const confidence = TBTAnalytics.monthConfidence(btc, 'median', 10, { random: TBTAnalytics.seededRandom(5) });
+  assert.equal(confidence.length, 12);
+  confidence.forEach((c, idx) => {
+    assert.equal(c.count, btc.statistics[idx + 1].count);
+    assert.ok(c.low <= c.value && c.value <= c.high);
+    assert.equal(c.significant, c.low > 0 || c.high < 0);
+    assert.ok(c.winLow <= c.winRate && c.winRate <= c.winHigh);
+  });
+});
+
+test('cycle average', () => {
+  const avg = TBTAnalytics.computeCycleAverage(btc.data, [2017, 2021, 2025]);
+  assert.equal(avg.length, 12);
+  assertClose(avg[0], (btc.data[2017][1] + btc.data[2021][1] + btc.data[2025][1]) / 3);
+  assert.equal(TBTAnalytics.computeCycleAverage(btc.data, [2026])[1], null);
+
+  const ytd = TBTAnalytics.computeCycleAverage(btc.data, [2021, 2026], true);
+  assertClose(ytd[0], (btc.data[2021][1] + btc.data[2026][1]) / 2);
+  assertClose(ytd[1], TBTAnalytics.compound([btc.data[2021][1], btc.data[2021][2]]));
+});
+
+test('cumulative returns compound year to date and break at gaps', () => {
+  const ytd = TBTAnalytics.cumulativeReturns({ 1: null, 2: 10, 3: 10, 4: null, 5: 5, 6: null });
+  assert.equal(ytd.length, 12);
+  assert.equal(ytd[0], null);
+  assertClose(ytd[1], 10);
+  assertClose(ytd[2], 21);
+  assert.deepEqual(ytd.slice(3), Array(9).fill(null));
+  assert.deepEqual(TBTAnalytics.cumulativeReturns(undefined), Array(12).fill(null));
+});
+
+test('formatCsv quotes only when needed', () => {
+  const csv = TBTAnalytics.formatCsv([['Year', 'Note'], [2024, 'up, then "down"'], [2025, null]]);
+  assert.equal(csv, 'Year,Note\r\n2024,"up, then ""down"""\r\n2025,\r\n');
+  assert.equal(TBTAnalytics.parseCsv(csv)[0].note, 'up, then "down"');
+});
+
+test('custom asset files from returns, closes or data.json', () => {
+  const csv = 'date,return\n2024-01,12%\n2024-02,-5\n2024-03,\n2025-01,3.5\n';
+  const fromReturns = TBTAnalytics.parseAssetFile('sol.csv', csv, 'SOL').assets;
+  assert.equal(fromReturns.length, 1);
+  assert.equal(fromReturns[0].asset, 'SOL');
+  assert.deepEqual(fromReturns[0].years[0].returns.slice(0, 3), [12, -5, null]);
+  assert.equal(fromReturns[0].years[0].green, 1);
+  assert.equal(fromReturns[0].volatility, undefined);
+  assert.deepEqual(TBTAnalytics.validateRawData({ assets: fromReturns }), []);
+
+  const closes = JSON.stringify([{ date: '2024-01-31', close: 100 }, { date: '2024-02-29', close: 150 }]);
+  const fromCloses = TBTAnalytics.parseAssetFile('basket.json', closes, 'BASKET').assets[0];
+  assert.equal(fromCloses.years[0].returns[1], 50);
+
+  const raw = { asset: 'X', years: [{ year: 2024, returns: new Array(12).fill(1), green: 12, red: 0 }] };
+  assert.equal(TBTAnalytics.parseAssetFile('x.json', JSON.stringify(raw), 'Y').assets[0].asset, 'X');
+  assert.equal(TBTAnalytics.parseAssetFile('x.json', JSON.stringify({ assets: [raw] })).assets.length, 1);
+
+  assert.throws(() => TBTAnalytics.parseAssetFile('a.csv', 'date,price\n2024-01,5\n', 'A'), /"close" column/);
+  assert.throws(() => TBTAnalytics.parseAssetFile('a.csv', 'date,return\n2024-01,5\n2024-01,6\n', 'A'), /Duplicate/);
+  assert.throws(() => TBTAnalytics.parseAssetFile('a.csv', 'date,return\n2024-01,big\n', 'A'), /Invalid return/);
+  assert.throws(() => TBTAnalytics.parseAssetFile('a.json', '[null]', 'A'), /one object per row/);
+  assert.throws(() => TBTAnalytics.parseAssetFile('s.json', '{"assets":{"SOL":5}}'), /Prices for SOL are not a list/);
+
+  const yearless = JSON.stringify({ asset: 'Z', years: [{ returns: new Array(12).fill(1), green: 12, red: 0 }] });
+  const issues = TBTAnalytics.validateRawData(TBTAnalytics.parseAssetFile('z.json', yearless, 'Z'));
+  assert.deepEqual(issues.map(i => `${i.severity} ${i.rule}`), ['error schema']);
+});
+
+test('color scale bounds and positions', () => {
+  const values = Array.from({ length: 101 }, (_, i) => i - 40);
+  assert.deepEqual(TBTAnalytics.colorScaleBounds(values, 5), { min: -35, max: 55 });
+  assert.deepEqual(TBTAnalytics.colorScaleBounds([3, 8, null], 0), { min: -1, max: 8 });
+  assert.equal(TBTAnalytics.colorScaleBounds([], 5), null);
+
+  const bounds = { min: -60, max: 80 };
+  assert.equal(TBTAnalytics.scalePosition(-30, bounds), -0.5);
+  assert.equal(TBTAnalytics.scalePosition(-90, bounds), -1);
+  assert.equal(TBTAnalytics.scalePosition(0, bounds), 0);
+  assert.equal(TBTAnalytics.scalePosition(40, bounds), 0.5);
+  assert.equal(TBTAnalytics.scalePosition(200, bounds), 1);
+});
+
+test('parseMonth reads dates and unix times but rejects bare years', () => {
+  assert.deepEqual(TBTAnalytics.parseMonth('2024-03-15'), { year: 2024, month: 3 });
+  assert.deepEqual(TBTAnalytics.parseMonth(1709251200), { year: 2024, month: 3 });
+  assert.deepEqual(TBTAnalytics.parseMonth('1709251200000'), { year: 2024, month: 3 });
+  assert.throws(() => TBTAnalytics.parseMonth('2024'), /Unrecognized date: 2024/);
+  assert.throws(() => TBTAnalytics.parseMonth(2024), /Unrecognized date/);
+});
+
+test('price ingestion from CSV', () => {
+  const csv = [
+    'asset,date,open,high,low,close',
+    'SOL,2024-01-01,100,150,80,120',
+    'SOL,2024-02-01,120,130,60,90',
+    'SOL,2024-03-01,90,100,85,99'
+  ].join('\n');
+  const series = TBTAnalytics.parsePriceCsv(csv);
+  const raw = TBTAnalytics.buildRawAssetFromPrices('SOL', series.SOL);
+
+  assert.equal(raw.asset, 'SOL');
+  assert.equal(raw.years.length, 1);
+  assertClose(raw.years[0].returns[0], 20);
+  assertClose(raw.years[0].returns[1], -25);
+  assertClose(raw.years[0].returns[2], 10);
+  assert.equal(raw.years[0].returns[3], null);
+  assert.equal(raw.years[0].green, 2);
+  assert.equal(raw.years[0].red, 1);
+  assertClose(raw.volatility[0].volatility[0], 87.5);
+  assertClose(raw.volatility[0].volatility[1], -(1 - 60 / 130) * 100);
+
+  const asset = TBTAnalytics.normalizeAsset(raw);
+  assert.equal(asset.statistics[1].count, 1);
+  assertClose(asset.statistics[2].average, -25);
+});
+
+test('price ingestion from close-only JSON and daily candles', () => {
+  const series = TBTAnalytics.parsePriceJson({
+    assets: {
+      X: [
+        { date: '2023-11', close: 50 },
+        { date: '2023-12', close: 100 },
+        { date: '2024-01', close: 80 },
+        { date: '2024-03', close: 120 }
+      ]
+    }
+  });
+  const raw = TBTAnalytics.buildRawAssetFromPrices('X', series.X);
+  assert.deepEqual(raw.years.map(y => y.year), [2023, 2024]);
+  assert.equal(raw.years[0].returns[10], null); // No prior close
+  assertClose(raw.years[0].returns[11], 100);
+  assertClose(raw.years[1].returns[0], -20);
+  assert.equal(raw.years[1].returns[2], null); // Gap in Feb breaks the chain
+  assert.deepEqual(raw.volatility, []);
+
+  const daily = TBTAnalytics.parsePriceCsv('time,open,high,low,close\n1704067200,10,12,9,11\n1704153600,11,15,8,14', 'Y');
+  assert.deepEqual(daily.Y, [{ year: 2024, month: 1, open: 10, high: 15, low: 8, close: 14 }]);
+
+  assert.throws(() => TBTAnalytics.parsePriceCsv('date,close\n2024-01,abc', 'Z'), /Invalid price/);
+});
+
+test('forecast loads from the bundled JSON and a spreadsheet CSV export', () => {
+  const forecast = TBTAnalytics.parseForecastJson(require(path.join(__dirname, '..', 'forecast.json')));
+  assert.deepEqual(forecast.asOf, { year: 2026, month: 2 });
+  assert.deepEqual(forecast.assets.BTC, { monthlyClose: 12, monthlyVol: 27, quarterlyClose: 4 });
+  assert.equal(forecast.alerts.btcD, 46.47);
+  assert.throws(() => TBTAnalytics.parseForecastJson({ asOf: '2026-02', assets: {} }), /version/);
+  assert.throws(() => TBTAnalytics.parseForecastJson({ version: 1, asOf: '2026-02', assets: { BTC: null } }),
+    /Forecast entry for BTC must be an object/);
+
+  const csv = [
+    'TBT Forecaster,BTC,eth',
+    'As of,2026-03-01,',
+    'Monthly Close,12%,-3%',
+    'Monthly Volatility,27%,',
+    'Notes,ignored,row'
+  ].join('\n');
+  const fromCsv = TBTAnalytics.parseForecastCsv(csv);
+  assert.deepEqual(fromCsv.asOf, { year: 2026, month: 3 });
+  assert.deepEqual(fromCsv.assets.ETH, { monthlyClose: -3, monthlyVol: null, quarterlyClose: null });
+  assert.throws(() => TBTAnalytics.parseForecastCsv('Label,BTC\nMonthly Close,12'), /As of/);
+});
+
+test('regime rules load from alerts.json and trigger on thresholds', () => {
+  const config = TBTAnalytics.parseRegimeConfig(require(path.join(__dirname, '..', 'alerts.json')));
+  const keys = config.indicators.map(ind => ind.key);
+  assert.ok(keys.includes('btcD'));
+
+  const rule = TBTAnalytics.parseRegimeRule({ indicator: 'btcD', op: 'above', value: '50' }, keys);
+  assert.equal(rule.value, 50);
+  assert.equal(TBTAnalytics.describeRule(rule, config.indicators), 'BTC.D above 50');
+  assert.throws(() => TBTAnalytics.parseRegimeRule({ indicator: 'btcD', op: 'above', value: 'high' }, keys), /numeric/);
+  assert.throws(() => TBTAnalytics.parseRegimeRule({ indicator: 'nope', op: 'is', value: 'x' }, keys), /Unknown indicator/);
+
+  const rules = [
+    rule,
+    TBTAnalytics.parseRegimeRule({ indicator: 'btcusd200MA', op: 'is', value: 'below' }, keys),
+    TBTAnalytics.parseRegimeRule({ indicator: 'bvol24', op: 'below', value: 5 }, keys)
+  ];
+  const hits = TBTAnalytics.evaluateRegimeRules({ btcD: 52.1, btcusd200MA: 'Above', bvol24: null }, rules);
+  assert.deepEqual(hits, [rule]);
+  assert.deepEqual(TBTAnalytics.evaluateRegimeRules({ btcD: 46, btcusd200MA: 'Below' }, rules), [rules[1]]);
+});
+
+test('validateRawData flags data.json inconsistencies', () => {
+  const issues = TBTAnalytics.validateRawData(rawData);
+  assert.ok(issues.every(i => i.severity === 'warning'));
+  assert.deepEqual(issues.map(i => `${i.asset} ${i.year} ${i.month} ${i.rule}`), [
+    'BTC 2026 null volatility-missing',
+    'ETH 2019 6 volatility-sign',
+    'TOTAL2 2015 8 volatility-sign',
+    'TOTAL2 2017 8 volatility-sign',
+    'TOTAL2 2017 12 volatility-sign',
+    'TOTAL2 2018 5 volatility-sign'
+  ]);
+});
+
+test('validateRawData reports malformed entries that buildModel drops', () => {
+  const broken = {
+    assets: [
+      {
+        asset: 'X',
+        years: [
+          { year: 2020, returns: [1, -2, 'oops', 4, 5, 6, 7, 8, 9, 10, 11], green: 8, red: 1 },
+          { year: 2020, returns: new Array(12).fill(1), green: 12, red: 0 },
+          { year: 2021, returns: new Array(12).fill(null), green: null, red: null },
+          { returns: new Array(12).fill(1), green: 12, red: 0 },
+          { year: '2022', returns: new Array(12).fill(1), green: 12, red: 0 }
+        ],
+        volatility: [
+          { year: 2020, volatility: 'wide' },
+          { year: 2020.5, volatility: new Array(12).fill(1) }
+        ]
+      },
+      { asset: 'Y' }
+    ]
+  };
+  const rules = TBTAnalytics.validateRawData(broken).map(i => `${i.asset} ${i.rule}`);
+  assert.deepEqual(rules, [
+    'X returns-length',
+    'X invalid-value',
+    'X green-red-mismatch',
+    'X duplicate-year',
+    'X missing-counts',
+    'X schema',
+    'X schema',
+    'X schema',
+    'X schema',
+    'Y schema'
+  ]);
+
+  const built = TBTAnalytics.buildModel(broken);
+  assert.deepEqual(Object.keys(built.assets), ['X']);
+  assert.deepEqual(TBTAnalytics.getAvailableYears(built.assets.X), [2020]);
+  assert.equal(built.assets.X.data[2020][3], null);
+  assert.equal(built.assets.X.data[2020][12], undefined);
+  assert.deepEqual(built.assets.X.volatilityData, {});
+  assert.deepEqual(TBTAnalytics.validateRawData(null).map(i => i.rule), ['schema']);
+});
+
+test('validateRawData reports null entries and a non-array volatility instead of throwing', () => {
+  const full = { year: 2020, returns: new Array(12).fill(1), green: 12, red: 0 };
+  const broken = {
+    assets: [
+      { asset: 'X', years: [null, full], volatility: [null, { year: 2020, volatility: new Array(12).fill(5) }] },
+      { asset: 'Y', years: [full], volatility: 'high' }
+    ]
+  };
+  const issues = TBTAnalytics.validateRawData(broken).map(i => `${i.asset} ${i.rule}`);
+  assert.deepEqual(issues, ['X schema', 'X schema', 'Y schema']);
+
+  const built = TBTAnalytics.buildModel(broken);
+  assert.deepEqual(TBTAnalytics.getAvailableYears(built.assets.X), [2020]);
+  assert.equal(built.assets.X.volatilityData[2020][1], 5);
+  assert.deepEqual(built.assets.Y.volatilityData, {});
+});
+
+test('filterYears recomputes statistics for a year range', () => {
+  assert.equal(TBTAnalytics.filterYears(btc, null, null), btc);
+  assert.equal(TBTAnalytics.filterYears(btc, 2000, 2030), btc);
+
+  const recent = TBTAnalytics.filterYears(btc, 2017, 2025);
+  assert.deepEqual(TBTAnalytics.getAvailableYears(recent),
+    [2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025]);
+  assert.equal(recent.statistics[11].count, 9);
+  assert.ok(recent.statistics[11].average < btc.statistics[11].average);
+  assert.equal(recent.average[10], recent.statistics[11].average);
+  assert.deepEqual(Object.keys(recent.volatilityData).map(Number)[0], 2017);
+  assert.equal(recent.greenRedData[2016], undefined);
+  assert.equal(btc.data[2013][11], 468); // Source model is untouched
+
+  const stats = TBTAnalytics.computeKeyStatistics(recent);
+  assert.equal(stats.prevYear, 2024);
+});
+
+test('selectYears and phase summaries', () => {
+  const top = TBTAnalytics.selectYears(btc, [2013, 2017, 2021, 2025]);
+  assert.deepEqual(TBTAnalytics.getAvailableYears(top), [2013, 2017, 2021, 2025]);
+  assert.equal(top.statistics[1].count, 4);
+  assert.equal(TBTAnalytics.selectYears(btc, TBTAnalytics.getAvailableYears(btc)), btc);
+
+  const annual = TBTAnalytics.completeYearReturns(btc);
+  assert.equal(annual[2026], undefined);
+  assertClose(annual[2020], TBTAnalytics.compound([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map(m => btc.data[2020][m])));
+
+  const summaries = TBTAnalytics.phaseSummaries(btc, { Top: [2013, 2017, 2021, 2025], Bottom: [2014, 2018, 2022, 2026] }, 'median');
+  assert.deepEqual(summaries.Top.months, TBTAnalytics.monthEstimates(top, 'median'));
+  assert.equal(summaries.Bottom.annualCount, 3); // 2026 is incomplete
+  assertClose(summaries.Bottom.annual, TBTAnalytics.median([annual[2014], annual[2018], annual[2022]]));
+});
+
+test('denominate prices one asset in another', () => {
+  const ethBtc = TBTAnalytics.denominate(eth, btc);
+  assert.equal(ethBtc.name, 'ETH/BTC');
+  assert.deepEqual(TBTAnalytics.getAvailableYears(ethBtc), TBTAnalytics.getAvailableYears(eth));
+  assertClose(ethBtc.data[2016][1], ((1 + eth.data[2016][1] / 100) / (1 + btc.data[2016][1] / 100) - 1) * 100);
+  assert.equal(ethBtc.data[2015][1], null);
+  assert.equal(ethBtc.data[2026][2], null);
+  assert.deepEqual(ethBtc.volatilityData, {});
+
+  const row = ethBtc.data[2016];
+  const values = Object.values(row).filter(v => v !== null);
+  assert.deepEqual(ethBtc.greenRedData[2016], {
+    green: values.filter(v => v > 0).length,
+    red: values.filter(v => v < 0).length
+  });
+
+  const self = TBTAnalytics.denominate(btc, btc);
+  assert.ok(Object.values(self.data[2020]).every(v => v === 0));
+});
+
+test('commonYears intersects asset histories', () => {
+  assert.deepEqual(TBTAnalytics.commonYears([]), []);
+  assert.deepEqual(TBTAnalytics.commonYears([btc, model.assets.TOTAL3]),
+    [2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025, 2026]);
+});